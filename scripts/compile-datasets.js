@@ -0,0 +1,88 @@
+/**
+ * Compiles every dataset in the manifest into TimelineJS JSON.
+ *
+ * Usage: node scripts/compile-datasets.js [--manifest <file>] [--out <dir>]
+ *
+ * Validation diagnostics are printed for every dataset, followed by the
+ * references to events of other datasets that don't exist. With --out, each
+ * dataset is written to `<dir>/<id>.json`. Exits with status 1 when any
+ * dataset has validation errors, so it can gate CI or a pre-commit hook.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  compileCsv,
+  formatDiagnostic,
+  getCompileOptions,
+  hasErrors,
+} from "../src/compileDataset.js";
+import { DEFAULT_MANIFEST, readManifest } from "./datasetManifest.js";
+
+const { values: args } = parseArgs({
+  options: {
+    manifest: { type: "string", default: DEFAULT_MANIFEST },
+    out: { type: "string" },
+  },
+});
+
+let failed = false;
+const datasets = readManifest(path.resolve(args.manifest));
+// Compiled timelines by dataset id, to check references between datasets
+const timelines = new Map();
+
+datasets.forEach((dataset) => {
+  const relativeFile = path.relative(process.cwd(), dataset.file);
+  const compiled = compileCsv(
+    fs.readFileSync(dataset.file, "utf8"),
+    getCompileOptions(dataset, datasets)
+  );
+  if (compiled.timeline) timelines.set(dataset.id, compiled.timeline);
+
+  compiled.diagnostics.forEach((diagnostic) =>
+    console.log(formatDiagnostic(diagnostic, relativeFile))
+  );
+  if (compiled.error) {
+    console.log(`${relativeFile}: ${compiled.error}`);
+  }
+
+  const isValid = !hasErrors(compiled) && !compiled.error;
+  failed = failed || !isValid;
+  console.log(
+    `${isValid ? "✓" : "✗"} ${dataset.id}: ${
+      compiled.timeline?.events.length ?? 0
+    } events, ${compiled.diagnostics.length} diagnostics`
+  );
+
+  if (args.out && isValid) {
+    fs.mkdirSync(args.out, { recursive: true });
+    fs.writeFileSync(
+      path.join(args.out, `${dataset.id}.json`),
+      JSON.stringify(compiled)
+    );
+  }
+});
+
+datasets.forEach((dataset) => {
+  const timeline = timelines.get(dataset.id);
+  if (!timeline) return;
+  const relativeFile = path.relative(process.cwd(), dataset.file);
+  [...timeline.events, ...(timeline.eras || [])].forEach((item) => {
+    (item.related || [])
+      .filter((link) => link.dataset_id)
+      .forEach((link) => {
+        const target = timelines.get(link.dataset_id);
+        const exists = [
+          ...(target?.events || []),
+          ...(target?.eras || []),
+        ].some((targetItem) => targetItem.unique_id === link.unique_id);
+        if (!exists) {
+          console.log(
+            `${relativeFile} warning: Related event "${link.dataset_id}:${link.unique_id}" of "${item.text.headline}" not found`
+          );
+        }
+      });
+  });
+});
+
+process.exit(failed ? 1 : 0);
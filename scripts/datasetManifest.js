@@ -0,0 +1,17 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export const DEFAULT_MANIFEST = "src/datasets.json";
+
+/**
+ * Reads the dataset manifest and resolves each entry's CSV to an absolute path.
+ * @param {string} manifestPath - Absolute path of the manifest JSON file.
+ * @returns {Array<object>} Manifest entries with an added `file` property.
+ */
+export const readManifest = (manifestPath) => {
+  const datasets = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  return datasets.map((dataset) => ({
+    ...dataset,
+    file: path.resolve(path.dirname(manifestPath), dataset.source),
+  }));
+};
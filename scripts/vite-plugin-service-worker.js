@@ -0,0 +1,79 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// Lists the files of a directory and its subdirectories, relative to it
+const listFiles = (dir) =>
+  dir && fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir, { recursive: true })
+        .filter((file) => fs.statSync(path.join(dir, file)).isFile())
+    : [];
+
+/**
+ * Emits the service worker (src/sw.js) into the build as sw.js, with the list
+ * of files to precache prepended as `self.__PRECACHE__`: every file of the
+ * bundle (app shell, compiled datasets), the files copied from public/ and
+ * the given cross-origin URLs. The version is a hash of all of them, so any
+ * change to the app or its data makes browsers install the new worker.
+ * @param {object} [options]
+ * @param {string} [options.source] - Path of the worker, relative to the Vite root.
+ * @param {Array<string>} [options.crossOriginUrls] - Extra URLs to precache, e.g. CDN assets.
+ * @returns {import("vite").Plugin}
+ */
+const serviceWorker = ({ source = "src/sw.js", crossOriginUrls = [] } = {}) => {
+  let root;
+  let base;
+  let publicDir;
+
+  return {
+    name: "service-worker",
+    apply: "build",
+    // Run after Vite has added index.html to the bundle
+    enforce: "post",
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+      publicDir = config.publicDir;
+    },
+
+    generateBundle(options, bundle) {
+      const files = [...Object.keys(bundle), ...listFiles(publicDir)]
+        .map((file) => file.split(path.sep).join("/"))
+        .filter((file) => !file.endsWith(".map"))
+        .sort();
+
+      const workerSource = fs.readFileSync(path.resolve(root, source), "utf8");
+      const hash = crypto.createHash("sha256");
+      files.forEach((file) => {
+        const output = bundle[file];
+        hash.update(file);
+        // Hashed file names already change with their content, index.html
+        // and public files don't
+        if (output?.type === "asset") {
+          hash.update(output.source);
+        } else if (!output) {
+          hash.update(fs.readFileSync(path.join(publicDir, file)));
+        }
+      });
+      hash.update(workerSource);
+      crossOriginUrls.forEach((url) => hash.update(url));
+
+      const precache = {
+        version: hash.digest("hex").slice(0, 12),
+        urls: files.map((file) => base + file),
+        crossOriginUrls,
+      };
+
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source:
+          `self.__PRECACHE__ = ${JSON.stringify(precache)};\n\n` + workerSource,
+      });
+    },
+  };
+};
+
+export default serviceWorker;
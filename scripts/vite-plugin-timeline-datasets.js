@@ -0,0 +1,121 @@
+import fs from "node:fs";
+import path from "node:path";
+import { normalizePath } from "vite";
+import {
+  compileCsv,
+  formatDiagnostic,
+  getCompileOptions,
+  hasErrors,
+} from "../src/compileDataset.js";
+import { SEVERITY } from "../src/csvValidation.js";
+import { getLinkedDatasetIds } from "../src/relatedEvents.js";
+import { DEFAULT_MANIFEST, readManifest } from "./datasetManifest.js";
+
+const VIRTUAL_ID = "virtual:timeline-datasets";
+const RESOLVED_VIRTUAL_ID = "\0" + VIRTUAL_ID;
+const QUERY = "?timeline";
+
+/**
+ * Compiles the CSVs listed in the dataset manifest into TimelineJS JSON.
+ *
+ * The app imports `virtual:timeline-datasets`, whose default export maps each
+ * dataset id to a function loading that dataset's compiled data as a separate
+ * chunk, and whose `sources` export does the same for the CSV text, e.g. to
+ * edit it. Its `links` export maps each dataset id to the ids of the datasets
+ * its events link to, so the app only loads those it needs. In a build, any
+ * validation error fails the build; in dev the errors are only logged (and
+ * listed in the app's data issues panel) and editing a CSV reloads the page
+ * with the recompiled data.
+ * @param {object} [options]
+ * @param {string} [options.manifest] - Path of the manifest, relative to the Vite root.
+ * @returns {import("vite").Plugin}
+ */
+const timelineDatasets = ({ manifest = DEFAULT_MANIFEST } = {}) => {
+  let root;
+  let isBuild;
+  let manifestPath;
+
+  return {
+    name: "timeline-datasets",
+    // Run before Vite's asset handling, which would otherwise claim the CSVs
+    enforce: "pre",
+
+    configResolved(config) {
+      root = config.root;
+      isBuild = config.command === "build";
+      manifestPath = path.resolve(root, manifest);
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_VIRTUAL_ID;
+      return null;
+    },
+
+    load(id) {
+      if (id === RESOLVED_VIRTUAL_ID) {
+        this.addWatchFile(manifestPath);
+        const datasets = readManifest(manifestPath);
+        const loaders = (query) =>
+          datasets
+            .map(
+              (dataset) =>
+                `  ${JSON.stringify(dataset.id)}: () => import(${JSON.stringify(
+                  normalizePath(dataset.file) + query
+                )}),`
+            )
+            .join("\n");
+        // Invalid datasets are reported when they are loaded
+        const links = Object.fromEntries(
+          datasets.map((dataset) => {
+            this.addWatchFile(dataset.file);
+            const { timeline } = compileCsv(
+              fs.readFileSync(dataset.file, "utf8"),
+              getCompileOptions(dataset, datasets)
+            );
+            return [dataset.id, timeline ? getLinkedDatasetIds(timeline) : []];
+          })
+        );
+        return (
+          `export default {\n${loaders(QUERY)}\n};\n` +
+          `export const sources = {\n${loaders("?raw")}\n};\n` +
+          `export const links = ${JSON.stringify(links)};\n`
+        );
+      }
+
+      if (!id.endsWith(QUERY)) return null;
+
+      const file = id.slice(0, -QUERY.length);
+      const datasets = readManifest(manifestPath);
+      const dataset = datasets.find(
+        (entry) => normalizePath(entry.file) === file
+      );
+      if (!dataset) {
+        this.error(`${file} is not listed in ${manifest}`);
+      }
+
+      this.addWatchFile(file);
+      const compiled = compileCsv(
+        fs.readFileSync(file, "utf8"),
+        getCompileOptions(dataset, datasets)
+      );
+      const relativeFile = normalizePath(path.relative(root, file));
+
+      if (hasErrors(compiled) || compiled.error) {
+        const messages = compiled.diagnostics
+          .filter((diagnostic) => diagnostic.severity === SEVERITY.ERROR)
+          .map((diagnostic) => formatDiagnostic(diagnostic, relativeFile));
+        if (compiled.error) messages.push(`${relativeFile}: ${compiled.error}`);
+        const message = `Invalid timeline data in ${relativeFile}:\n${messages.join("\n")}`;
+        if (isBuild) {
+          this.error(message);
+        } else {
+          this.warn(message);
+        }
+      }
+
+      return `export default ${JSON.stringify(compiled)};\n`;
+    },
+  };
+};
+
+export default timelineDatasets;
@@ -7,7 +7,55 @@ import React, {
 } from "react";
 import Select from "react-select";
 import useTimelineData from "./useTimelineData";
-import { processCsvData } from "./timelineUtils";
+import { countDiagnostics } from "./csvValidation";
+import DataIssuesPanel from "./DataIssuesPanel";
+import EventSearch from "./EventSearch";
+import useAllTimelineData from "./useAllTimelineData";
+import QuizDialog from "./QuizDialog";
+import ChronologyDialog from "./ChronologyDialog";
+import BookmarksPanel from "./BookmarksPanel";
+import EventAnnotationBar from "./EventAnnotationBar";
+import useAnnotations from "./useAnnotations";
+import NativeTimeline from "./NativeTimeline";
+import TimelineJsTimeline from "./TimelineJsTimeline";
+import { isBookmarked } from "./annotations";
+import { findEventId } from "./eventIds";
+import RevisionProgressPanel from "./RevisionProgressPanel";
+import useRevisionProgress from "./useRevisionProgress";
+import ExportMenu from "./ExportMenu";
+import PrintSheet from "./PrintSheet";
+import EventTable from "./EventTable";
+import CsvEditor from "./CsvEditor";
+import LoadDatasetDialog from "./LoadDatasetDialog";
+import useLocalDatasets from "./useLocalDatasets";
+import { isLocalDataset } from "./localDatasets";
+import { buildSearchIndex, searchEvents } from "./searchIndex";
+import YearRangeFilter from "./YearRangeFilter";
+import { isInYearRange, widenYearRange } from "./yearRange";
+import { formatYear } from "./timelineScale";
+import { findEras } from "./eras";
+import { getLinkedDatasetIds, getRelatedLinks } from "./relatedEvents";
+import { isAuthorMode } from "./embedding";
+import {
+  computeCoverage,
+  findNextUnrevised,
+  loadRevisionProgress,
+} from "./revisionProgress";
+import {
+  readViewState,
+  writeViewState,
+  canShareView,
+  getShareUrl,
+  copyToClipboard,
+  VIEW_MODES,
+} from "./viewUrl";
+import {
+  DATASETS,
+  DEFAULT_DATASET_ID,
+  getDataset,
+  getStorageKey,
+  getTimelineOptions,
+} from "./datasets";
 import "./timeline.css";
 import {
   ToggleButtonGroup,
@@ -17,30 +65,72 @@ import {
   Tooltip,
   Stack,
   Typography,
+  Badge,
 } from "@mui/material";
-import { FilterList, CheckCircle, Cancel } from "@mui/icons-material";
-
-// Import the CSV file URLs (Vite/Webpack specific)
-import modernHistoryUrl from "./mh.csv?url";
-import ancientHistoryUrl from "./ah.csv?url";
-
-// TimelineJS options based on timeline type
-const getTimelineOptions = (timelineType) => ({
-  start_at_end: false,
-  default_bg_color: "#ffffff",
-  timenav_height: 150,
-  scale_factor: timelineType === "ancient" ? 2 : 2,
-  initial_zoom: timelineType === "ancient" ? 4 : 4,
-  zoom_sequence: [0.5, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89],
-  duration: 1000,
-  use_tl_attribution: false, // Remove the attribution link at the bottom
-});
-
-const TimelineComponent = () => {
-  // Initialize selectedTimelineType from localStorage or default to "modern"
+import {
+  FilterList,
+  CheckCircle,
+  Cancel,
+  ReportProblem,
+  Link as LinkIcon,
+  School,
+  SwapVert,
+  Star,
+  CollectionsBookmark,
+  DonutLarge,
+  Print,
+  ViewCarousel,
+  TableRows,
+  Edit,
+  UploadFile,
+  DeleteOutline,
+} from "@mui/icons-material";
+
+// Timeline renderers, chosen per dataset with the manifest's `renderer`
+const TIMELINE_RENDERERS = {
+  native: NativeTimeline,
+  timelinejs: TimelineJsTimeline,
+};
+
+// Compares two sets of groups
+const isSameGroups = (a, b) =>
+  a.size === b.size && Array.from(a).every((group) => b.has(group));
+
+// Compares two year ranges, either of which may be null
+const isSameYearRange = (a, b) =>
+  a?.from === b?.from && a?.to === b?.to && !a === !b;
+
+/**
+ * The timeline app.
+ * @param {object} props
+ * @param {Array<object>} props.localDatasets - Timelines loaded by the user.
+ * @param {Function} props.addLocalDataset - Stores a timeline loaded by the
+ *   user, resolving to its id.
+ * @param {Function} props.removeLocalDataset - Deletes a timeline loaded by
+ *   the user.
+ */
+const TimelineComponent = ({
+  localDatasets,
+  addLocalDataset,
+  removeLocalDataset,
+}) => {
+  // The bundled timelines followed by the user's own
+  const datasets = useMemo(
+    () => [...DATASETS, ...localDatasets],
+    [localDatasets]
+  );
+
+  // View state from the URL (a shared link) takes precedence over localStorage on startup
+  const [initialViewState] = useState(() =>
+    readViewState(window.location.search)
+  );
+
+  // Initialize selectedTimelineType from the URL, localStorage or default to the first dataset
   const [selectedTimelineType, setSelectedTimelineType] = useState(() => {
-    const savedType = localStorage.getItem("selectedTimelineType");
-    return savedType || "modern"; // Use saved value or default to "modern"
+    const savedType =
+      initialViewState.datasetId || localStorage.getItem("selectedTimelineType");
+    // Ignore saved ids of datasets that have since been removed
+    return getDataset(savedType || DEFAULT_DATASET_ID, datasets).id;
   });
 
   // Flag to track if this is the initial render after a page refresh
@@ -50,18 +140,25 @@ const TimelineComponent = () => {
     localStorage.setItem("selectedTimelineType", selectedTimelineType);
   }, [selectedTimelineType]);
 
-  const csvUrl =
-    selectedTimelineType === "modern" ? modernHistoryUrl : ancientHistoryUrl;
+  const dataset = getDataset(selectedTimelineType, datasets);
+  const timelineOptions = useMemo(() => getTimelineOptions(dataset), [dataset]);
+  const TimelineRenderer =
+    TIMELINE_RENDERERS[dataset.renderer] || TIMELINE_RENDERERS.native;
 
-  const { rawCsvData, uniqueGroups, isLoading, error } =
-    useTimelineData(csvUrl);
+  // Validation diagnostics cover the whole dataset, not just the filtered groups
+  const { timeline, uniqueGroups, diagnostics, isLoading, error } =
+    useTimelineData(dataset);
+  const diagnosticCounts = countDiagnostics(diagnostics);
+  const { annotations, toggleBookmark, saveNote } = useAnnotations(dataset);
+  const { progress, recordVisit, toggleRevised, resetProgress } =
+    useRevisionProgress(dataset);
 
   // Initialize active groups with separate storage for each timeline type
   const [activeGroups, setActiveGroups] = useState(() => {
     try {
       // Try to load saved groups for the current timeline type
       const savedGroups = localStorage.getItem(
-        `activeGroups_${selectedTimelineType}`
+        getStorageKey("activeGroups", dataset)
       );
       if (savedGroups) {
         return new Set(JSON.parse(savedGroups));
@@ -72,31 +169,126 @@ const TimelineComponent = () => {
       return new Set();
     }
   });
+  // Dataset the active groups were initialized for; they belong to the previous
+  // dataset until the groups of a newly selected one are loaded
+  const activeGroupsDatasetId = useRef(null);
+  // Filters requested by the URL, applied once their dataset is loaded:
+  // { datasetId, groups, yearRange } where null groups means every group
+  const requestedFilters = useRef(
+    initialViewState.datasetId
+      ? {
+          datasetId: selectedTimelineType,
+          groups: initialViewState.groups,
+          yearRange: initialViewState.yearRange,
+        }
+      : null
+  );
+  // Optional year range filter ({ from, to }, either end may be null), saved
+  // per timeline type like the groups
+  const [yearRange, setYearRange] = useState(initialViewState.yearRange);
   const [selectedEvent, setSelectedEvent] = useState(null);
-  const timelineContainer = useRef(null);
-  const timelineInstance = useRef(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Links to the view only open the app in some places (see canShareView)
+  const [canShare] = useState(canShareView);
+  const [showDataIssues, setShowDataIssues] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
+  const [showChronology, setShowChronology] = useState(false);
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  // "Bookmarked" pseudo-group: shows bookmarked events whatever their group
+  const [showBookmarked, setShowBookmarked] = useState(false);
+  const [currentEventId, setCurrentEventId] = useState(null);
+  const [showProgress, setShowProgress] = useState(false);
+  const [showPrintSheet, setShowPrintSheet] = useState(false);
+  const [showCsvEditor, setShowCsvEditor] = useState(false);
+  // The CSV editor is only offered to content authors
+  const [isAuthor] = useState(isAuthorMode);
+  const [showLoadDataset, setShowLoadDataset] = useState(false);
+  const [searchScope, setSearchScope] = useState("current");
+  // The query typed in the search box, which also filters the list view
+  const [searchQuery, setSearchQuery] = useState("");
+  const [viewMode, setViewMode] = useState(initialViewState.viewMode);
+  // The timeline renderer: { goToId(uniqueId) }
+  const timelineView = useRef(null);
+  // Event to show once its timeline is loaded and its group is active:
+  // { datasetId, uniqueId }
+  const pendingNavigation = useRef(
+    initialViewState.eventId
+      ? { datasetId: selectedTimelineType, uniqueId: initialViewState.eventId }
+      : null
+  );
 
   // Save active groups to localStorage when they change
   useEffect(() => {
     try {
-      if (activeGroups.size > 0) {
+      if (
+        activeGroups.size > 0 &&
+        activeGroupsDatasetId.current === dataset.id
+      ) {
         localStorage.setItem(
-          `activeGroups_${selectedTimelineType}`,
+          getStorageKey("activeGroups", dataset),
           JSON.stringify(Array.from(activeGroups))
         );
       }
     } catch (e) {
       console.error("Error saving active groups to localStorage:", e);
     }
-  }, [activeGroups, selectedTimelineType]);
+  }, [activeGroups, dataset]);
+
+  // Save the year range to localStorage when it changes
+  useEffect(() => {
+    if (activeGroupsDatasetId.current !== dataset.id) return;
+    try {
+      if (yearRange) {
+        localStorage.setItem(
+          getStorageKey("yearRange", dataset),
+          JSON.stringify(yearRange)
+        );
+      } else {
+        localStorage.removeItem(getStorageKey("yearRange", dataset));
+      }
+    } catch (e) {
+      console.error("Error saving year range to localStorage:", e);
+    }
+  }, [yearRange, dataset]);
 
-  // Initialize active groups when uniqueGroups are loaded or timeline type changes
+  // Initialize active groups and the year range when uniqueGroups are loaded
+  // or timeline type changes
   useEffect(() => {
     if (uniqueGroups.length > 0) {
+      activeGroupsDatasetId.current = dataset.id;
+
+      // Filters requested by the URL take precedence over saved ones
+      const requested = requestedFilters.current;
+      const isRequested = requested && requested.datasetId === dataset.id;
+      if (isRequested) {
+        requestedFilters.current = null;
+        setYearRange(requested.yearRange);
+      } else {
+        try {
+          const savedRange = localStorage.getItem(
+            getStorageKey("yearRange", dataset)
+          );
+          setYearRange(savedRange ? JSON.parse(savedRange) : null);
+        } catch (e) {
+          console.error("Error loading year range from localStorage:", e);
+          setYearRange(null);
+        }
+      }
+
+      if (isRequested) {
+        const validGroups = (requested.groups || uniqueGroups).filter(
+          (group) => uniqueGroups.includes(group)
+        );
+        if (validGroups.length > 0) {
+          setActiveGroups(new Set(validGroups));
+          return;
+        }
+      }
+
       // Check if we have saved groups for this timeline type
       try {
         const savedGroups = localStorage.getItem(
-          `activeGroups_${selectedTimelineType}`
+          getStorageKey("activeGroups", dataset)
         );
         if (savedGroups) {
           const parsedGroups = JSON.parse(savedGroups);
@@ -113,57 +305,96 @@ const TimelineComponent = () => {
         console.error("Error processing saved groups:", e);
       }
 
-      // If no valid saved groups, default to all groups active
-      setActiveGroups(new Set(uniqueGroups));
+      // If no valid saved groups, fall back to the dataset's default groups
+      const defaultGroups = (dataset.defaultGroups || []).filter((group) =>
+        uniqueGroups.includes(group)
+      );
+      setActiveGroups(
+        new Set(defaultGroups.length > 0 ? defaultGroups : uniqueGroups)
+      );
     }
-  }, [uniqueGroups, selectedTimelineType]);
-
-  // Create search options from raw data with unique IDs matching timeline events
-  const searchOptions = useMemo(() => {
-    if (!rawCsvData) return [];
-    return rawCsvData
-      .map((event) => {
-        const uniqueId = `event-${event.Year}-${event.Headline?.replace(
-          /\s+/g,
-          "-"
-        )}`;
-        // Show a snippet of the text in the label for context
-        const textSnippet = event.Text
-          ? `: ${event.Text.slice(0, 60)}${event.Text.length > 60 ? "..." : ""}`
-          : "";
-        return {
-          value: uniqueId,
-          label: `${event.Year} - ${event.Headline || ""}${textSnippet}`,
-          year: event.Year,
-          headline: event.Headline,
-          text: event.Text || "",
-          uniqueId: uniqueId,
-        };
-      })
-      .sort((a, b) => a.year - b.year);
-  }, [rawCsvData]);
+  }, [uniqueGroups, dataset]);
+
+  // Every timeline is needed to search all of them and for overall progress;
+  // otherwise only those linked from or to the events of this one are loaded.
+  // The user's own timelines may link to any other, so they are always loaded.
+  const neededDatasets = useMemo(() => {
+    if (searchScope === "all" || showProgress) return datasets;
+    const linkedIds = new Set(timeline ? getLinkedDatasetIds(timeline) : []);
+    return datasets.filter(
+      (entry) =>
+        entry.id !== dataset.id &&
+        (linkedIds.has(entry.id) ||
+          !entry.linkedDatasets ||
+          entry.linkedDatasets.includes(dataset.id))
+    );
+  }, [searchScope, showProgress, datasets, timeline, dataset]);
+  const { allData, isLoading: isLoadingAll } = useAllTimelineData(
+    neededDatasets,
+    neededDatasets.length > 0
+  );
+  const searchSources = useMemo(() => {
+    if (searchScope === "all" && !isLoadingAll && allData.length > 0) {
+      return allData.map((data) => ({
+        id: data.dataset.id,
+        label: data.dataset.label,
+        events: data.timeline.events,
+      }));
+    }
+    if (!timeline) return [];
+    return [{ id: dataset.id, label: dataset.label, events: timeline.events }];
+  }, [searchScope, isLoadingAll, allData, timeline, dataset]);
+
+  // Enable the group of a pending navigation target once its timeline is
+  // loaded, and widen the year range if it hides the target
+  useEffect(() => {
+    const pending = pendingNavigation.current;
+    if (!pending || pending.datasetId !== dataset.id || !timeline) return;
+    const event = timeline.events.find(
+      (e) => e.unique_id === pending.uniqueId
+    );
+    if (!event) {
+      console.error("Event to navigate to not found:", pending.uniqueId);
+      pendingNavigation.current = null;
+      return;
+    }
+    if (!activeGroups.has(event.group)) {
+      setActiveGroups((prev) => new Set(prev).add(event.group));
+    }
+    if (!isInYearRange(event, yearRange)) {
+      setYearRange((prev) => widenYearRange(prev, event));
+    }
+  }, [timeline, dataset, activeGroups, yearRange]);
+
+  // IDs of the bookmarked events as a string, so that editing notes doesn't
+  // rebuild the timeline
+  const bookmarkedIds = Object.keys(annotations)
+    .filter((eventId) => isBookmarked(annotations, eventId))
+    .join("\n");
+
+  // Events of the active groups (or bookmarks, when that pseudo-group is active)
+  const groupEvents = useMemo(() => {
+    if (!timeline) return [];
+    const bookmarked = new Set(showBookmarked ? bookmarkedIds.split("\n") : []);
+    return timeline.events.filter(
+      (event) =>
+        activeGroups.has(event.group) || bookmarked.has(event.unique_id)
+    );
+  }, [timeline, activeGroups, showBookmarked, bookmarkedIds]);
 
-  // Filter and process timeline data based on active groups
   const timelineData = useMemo(() => {
-    if (!rawCsvData) return null;
+    if (!timeline) return null;
 
-    // Filter events by active groups
-    const filteredData = rawCsvData.filter((event) =>
-      activeGroups.has(event.Group?.trim() || "")
+    // Keep the events whose span intersects the year range
+    const filteredEvents = groupEvents.filter((event) =>
+      isInYearRange(event, yearRange)
     );
 
     // If no events match the filter, return null to show message
-    if (filteredData.length === 0) return null;
-
-    // Process the filtered data
-    const { timelineJson, error: processingError } =
-      processCsvData(filteredData);
-    if (processingError) {
-      console.error("Error processing filtered data:", processingError);
-      return null;
-    }
-    return timelineJson;
-  }, [rawCsvData, activeGroups]);
+    if (filteredEvents.length === 0) return null;
+
+    return { ...timeline, events: filteredEvents };
+  }, [timeline, groupEvents, yearRange]);
 
   // Helper function to check if an event ID exists in the timeline data
   const eventIdExists = useCallback((eventId, events) => {
@@ -171,125 +402,171 @@ const TimelineComponent = () => {
     return events.some((event) => event.unique_id === eventId);
   }, []);
 
-  // Effect to initialize or update TimelineJS
-  useEffect(() => {
-    if (window.TL && timelineData && timelineContainer.current) {
-      // Clean up previous instance
-      if (timelineInstance.current) {
-        // Remove any existing event listeners to prevent memory leaks
-        if (typeof timelineInstance.current.off === "function") {
-          timelineInstance.current.off("change");
+  // Record the event shown on the timeline
+  const handleTimelineChange = useCallback(
+    (uniqueId) => {
+      setCurrentEventId(uniqueId);
+      recordVisit(uniqueId);
+
+      try {
+        // Save the current position to localStorage
+        const lastViewed = localStorage.getItem("timelineLastViewed")
+          ? JSON.parse(localStorage.getItem("timelineLastViewed"))
+          : {};
+
+        lastViewed[selectedTimelineType] = uniqueId;
+        localStorage.setItem("timelineLastViewed", JSON.stringify(lastViewed));
+      } catch (e) {
+        console.error("Error saving timeline position:", e);
+      }
+
+      // Record the event in the URL, with a history entry per visited
+      // event so back/forward move between them
+      const viewState = readViewState(window.location.search);
+      if (viewState.eventId !== uniqueId) {
+        const url =
+          writeViewState(window.location.search, {
+            ...viewState,
+            datasetId: selectedTimelineType,
+            eventId: uniqueId,
+          }) + window.location.hash;
+        if (viewState.eventId) {
+          window.history.pushState(null, "", url);
+        } else {
+          window.history.replaceState(null, "", url);
         }
-        timelineContainer.current.innerHTML = "";
-        timelineInstance.current = null;
       }
+    },
+    [selectedTimelineType, recordVisit]
+  );
+
+  // Navigate once the timeline shows new data: to an event requested from
+  // another timeline, a hidden group or the list view, or to the saved
+  // position on startup. The slides only exist in the slide view.
+  useEffect(() => {
+    if (!timelineData || !timelineView.current) return;
 
+    const pending = pendingNavigation.current;
+    if (
+      pending &&
+      pending.datasetId === dataset.id &&
+      eventIdExists(pending.uniqueId, timelineData.events)
+    ) {
+      pendingNavigation.current = null;
+      // The requested event takes precedence over the saved position
+      isInitialRender.current = false;
+      timelineView.current.goToId(pending.uniqueId);
+      return;
+    }
+
+    // Only restore position on initial render (after page refresh)
+    if (isInitialRender.current) {
       try {
-        // Initialize new timeline
-        timelineInstance.current = new window.TL.Timeline(
-          timelineContainer.current,
-          timelineData,
-          getTimelineOptions(selectedTimelineType)
-        );
+        // Get the last viewed event ID for this timeline type
+        const lastViewed = localStorage.getItem("timelineLastViewed")
+          ? JSON.parse(localStorage.getItem("timelineLastViewed"))
+          : {};
 
-        // Additional measure to hide the attribution element
-        setTimeout(() => {
-          const attributionElements =
-            document.querySelectorAll(".tl-attribution");
-          attributionElements.forEach((el) => {
-            el.style.display = "none";
-          });
-        }, 100);
-
-        // Add event listener to track current slide
-        timelineInstance.current.on("change", function (data) {
-          if (data && data.unique_id) {
-            try {
-              // Save the current position to localStorage
-              const lastViewed = localStorage.getItem("timelineLastViewed")
-                ? JSON.parse(localStorage.getItem("timelineLastViewed"))
-                : {};
-
-              lastViewed[selectedTimelineType] = data.unique_id;
-              localStorage.setItem(
-                "timelineLastViewed",
-                JSON.stringify(lastViewed)
-              );
-            } catch (e) {
-              console.error("Error saving timeline position:", e);
-            }
-          }
-        });
-
-        // Only restore position on initial render (after page refresh)
-        if (
-          isInitialRender.current &&
-          timelineData.events &&
-          timelineData.events.length > 0
-        ) {
-          try {
-            // Get the last viewed event ID for this timeline type
-            const lastViewed = localStorage.getItem("timelineLastViewed")
-              ? JSON.parse(localStorage.getItem("timelineLastViewed"))
-              : {};
-
-            const savedEventId = lastViewed[selectedTimelineType];
-
-            // If we have a saved position and it exists in the current timeline
-            if (
-              savedEventId &&
-              eventIdExists(savedEventId, timelineData.events)
-            ) {
-              // Use a small delay to ensure the timeline is fully initialized
-              setTimeout(() => {
-                try {
-                  timelineInstance.current.goToId(savedEventId);
-                } catch (err) {
-                  console.error("Error navigating to saved event:", err);
-                  // If navigation fails, go to the first event
-                  timelineInstance.current.goTo(0);
-                }
-              }, 300);
-            }
-          } catch (e) {
-            console.error("Error restoring timeline position:", e);
-          }
+        const savedEventId = findEventId(
+          timelineData.events,
+          lastViewed[selectedTimelineType]
+        );
 
-          // Mark that we've handled the initial render
-          isInitialRender.current = false;
+        // If we have a saved position and it exists in the current timeline
+        if (savedEventId) {
+          timelineView.current.goToId(savedEventId);
         }
-      } catch (initError) {
-        console.error("Timeline initialization error:", initError);
+      } catch (e) {
+        console.error("Error restoring timeline position:", e);
       }
+
+      // Mark that we've handled the initial render
+      isInitialRender.current = false;
     }
+  }, [timelineData, selectedTimelineType, dataset, eventIdExists, viewMode]);
 
-    // Cleanup function
-    return () => {
-      if (
-        timelineInstance.current &&
-        typeof timelineInstance.current.off === "function"
-      ) {
-        timelineInstance.current.off("change");
-      }
-    };
-  }, [timelineData, selectedTimelineType, eventIdExists]);
+  // Links between events, from and to events of every loaded timeline
+  const relatedLinks = useMemo(() => {
+    if (!timeline) return {};
+    return getRelatedLinks(
+      [
+        { dataset, timeline },
+        ...allData.filter((data) => data.dataset.id !== dataset.id),
+      ],
+      dataset.id
+    );
+  }, [timeline, dataset, allData]);
 
-  // Effect to load TimelineJS assets
+  // Notes shown under the slide text, and unvisited events highlighted while
+  // progress is shown
+  const notes = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(annotations)
+          .filter(([, annotation]) => annotation.note)
+          .map(([eventId, annotation]) => [eventId, annotation.note])
+      ),
+    [annotations]
+  );
+  const unvisitedIds = useMemo(
+    () =>
+      showProgress && timelineData
+        ? new Set(
+            timelineData.events
+              .filter((event) => !progress.visited[event.unique_id])
+              .map((event) => event.unique_id)
+          )
+        : null,
+    [showProgress, timelineData, progress]
+  );
+
+  // Revision coverage of the current dataset, and of every dataset once loaded
+  const coverage = useMemo(
+    () => (timeline ? computeCoverage(timeline.events, progress) : null),
+    [timeline, progress]
+  );
+  const coverages = useMemo(() => {
+    if (!showProgress) return [];
+    if (isLoadingAll || allData.length === 0) {
+      return coverage ? [{ dataset, coverage }] : [];
+    }
+    return allData.map((data) => ({
+      dataset: data.dataset,
+      coverage:
+        data.dataset.id === dataset.id && coverage
+          ? coverage
+          : computeCoverage(
+              data.timeline.events,
+              loadRevisionProgress(data.dataset)
+            ),
+    }));
+  }, [showProgress, isLoadingAll, allData, dataset, coverage]);
+
+  // Keep the URL in sync with the selected timeline and filters
   useEffect(() => {
-    if (!window.TL) {
-      const script = document.createElement("script");
-      script.src =
-        "https://cdn.knightlab.com/libs/timeline3/latest/js/timeline.js";
-      script.async = true;
-      document.body.appendChild(script);
-
-      const link = document.createElement("link");
-      link.rel = "stylesheet";
-      link.href =
-        "https://cdn.knightlab.com/libs/timeline3/latest/css/timeline.css";
-      document.head.appendChild(link);
+    if (activeGroupsDatasetId.current !== dataset.id) return;
+    const viewState = readViewState(window.location.search);
+    const allGroupsActive = uniqueGroups.every((group) =>
+      activeGroups.has(group)
+    );
+    const search = writeViewState(window.location.search, {
+      datasetId: dataset.id,
+      groups: allGroupsActive
+        ? null
+        : uniqueGroups.filter((group) => activeGroups.has(group)),
+      yearRange,
+      // The event of another timeline is meaningless here
+      eventId: viewState.datasetId === dataset.id ? viewState.eventId : null,
+      viewMode,
+    });
+    if (search !== window.location.search) {
+      window.history.replaceState(
+        null,
+        "",
+        (search || window.location.pathname) + window.location.hash
+      );
     }
-  }, []);
+  }, [dataset, uniqueGroups, activeGroups, yearRange, viewMode]);
 
   // Handle group toggle
   const handleGroupToggle = (group) => {
@@ -311,37 +588,184 @@ const TimelineComponent = () => {
 
   const handleUnselectAllGroups = () => {
     setActiveGroups(new Set());
+    setShowBookmarked(false);
   };
 
-  // Handle event selection with direct ID matching
+  // Navigate to an event of any timeline, switching to the slide view. When
+  // the event's timeline isn't shown or its group or years are filtered out,
+  // the timeline is rebuilt first and the navigation happens once it is
+  // initialized.
+  const navigateToEvent = (datasetId, uniqueId) => {
+    setViewMode(VIEW_MODES.SLIDES);
+    if (datasetId !== dataset.id) {
+      pendingNavigation.current = { datasetId, uniqueId };
+      setSelectedTimelineType(datasetId);
+      return;
+    }
+    const event = timeline?.events.find((e) => e.unique_id === uniqueId);
+    if (!event) {
+      console.error("Event to navigate to not found:", uniqueId);
+      return;
+    }
+    if (
+      !activeGroups.has(event.group) ||
+      !isInYearRange(event, yearRange) ||
+      !timelineView.current
+    ) {
+      pendingNavigation.current = { datasetId, uniqueId };
+      setActiveGroups((prev) => new Set(prev).add(event.group));
+      setYearRange((prev) => widenYearRange(prev, event));
+      return;
+    }
+    timelineView.current.goToId(uniqueId);
+  };
+
+  // Back in the slide view, show the event that was current before
+  const handleViewModeChange = (e, mode) => {
+    if (!mode) return;
+    if (
+      mode === VIEW_MODES.SLIDES &&
+      eventIdExists(currentEventId, timelineData?.events)
+    ) {
+      navigateToEvent(dataset.id, currentEventId);
+    } else {
+      setViewMode(mode);
+    }
+  };
+
+  // Restore the view of a history entry on browser back/forward. Re-subscribed
+  // on every render so the handler sees the current filters.
+  useEffect(() => {
+    const handlePopState = () => {
+      const viewState = readViewState(window.location.search);
+      const target = getDataset(
+        viewState.datasetId || dataset.id,
+        datasets
+      );
+      setViewMode(viewState.viewMode);
+
+      if (target.id !== dataset.id) {
+        requestedFilters.current = {
+          datasetId: target.id,
+          groups: viewState.groups,
+          yearRange: viewState.yearRange,
+        };
+        if (viewState.eventId) {
+          pendingNavigation.current = {
+            datasetId: target.id,
+            uniqueId: viewState.eventId,
+          };
+        }
+        setSelectedTimelineType(target.id);
+        return;
+      }
+
+      const groups = new Set(
+        (viewState.groups || uniqueGroups).filter((group) =>
+          uniqueGroups.includes(group)
+        )
+      );
+      // Changing the filters rebuilds the timeline, so navigate once it is ready
+      const filtersChanged =
+        !isSameGroups(groups, activeGroups) ||
+        !isSameYearRange(viewState.yearRange, yearRange);
+      if (filtersChanged) {
+        setActiveGroups(groups);
+        setYearRange(viewState.yearRange);
+        if (viewState.eventId) {
+          pendingNavigation.current = {
+            datasetId: target.id,
+            uniqueId: viewState.eventId,
+          };
+        }
+      } else if (
+        viewState.eventId &&
+        viewState.viewMode === VIEW_MODES.SLIDES
+      ) {
+        navigateToEvent(target.id, viewState.eventId);
+      }
+    };
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  });
+
+  // Events of the list view: the filtered events, narrowed down by the query
+  // typed in the search box
+  const listEvents = useMemo(() => {
+    const events = timelineData?.events || [];
+    if (viewMode !== VIEW_MODES.LIST || searchQuery.trim() === "") {
+      return events;
+    }
+    const matches = new Set(
+      searchEvents(buildSearchIndex(events), searchQuery, {
+        limit: Infinity,
+      }).map((result) => result.event.unique_id)
+    );
+    return events.filter((event) => matches.has(event.unique_id));
+  }, [timelineData, viewMode, searchQuery]);
+
+  // The event shown on the timeline, if it belongs to the current dataset
+  const currentEvent =
+    timeline?.events.find((event) => event.unique_id === currentEventId) ||
+    null;
+  const currentEras = useMemo(
+    () => (currentEvent ? findEras(timeline.eras || [], currentEvent) : []),
+    [timeline, currentEvent]
+  );
+
+  // Show the next unrevised event of the active groups, or of any group once
+  // the active ones are all revised
+  const nextUnrevised =
+    findNextUnrevised(timelineData?.events || [], progress, currentEventId) ||
+    findNextUnrevised(timeline?.events || [], progress, currentEventId);
+
+  const handleResetProgress = () => {
+    if (
+      window.confirm(
+        `Reset the revision progress of ${dataset.label}? This can't be undone.`
+      )
+    ) {
+      resetProgress();
+    }
+  };
+
+  // Copy a link to the current view
+  const handleCopyLink = async () => {
+    const url = getShareUrl();
+    if (await copyToClipboard(url)) {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } else {
+      // Let the user copy it by hand
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  // Show a timeline loaded by the user once it is stored
+  const handleAddLocalDataset = (record) =>
+    addLocalDataset(record).then((id) => {
+      setShowLoadDataset(false);
+      setSelectedTimelineType(id);
+    });
+
+  const handleRemoveLocalDataset = () => {
+    if (!window.confirm(`Remove "${dataset.label}" from this browser?`)) return;
+    setSelectedTimelineType(DEFAULT_DATASET_ID);
+    removeLocalDataset(dataset.id).catch((removeError) =>
+      console.error("Error removing local dataset:", removeError)
+    );
+  };
+
+  // Handle event selection from the search box
   const handleEventSelect = (option) => {
     setSelectedEvent(option);
-    if (timelineInstance.current && option) {
-      // Use a small delay to ensure the timeline is ready
+    if (option) {
+      navigateToEvent(option.datasetId, option.uniqueId);
+      // Clear search after a longer delay to ensure scroll completes
       setTimeout(() => {
-        try {
-          timelineInstance.current.goToId(option.uniqueId);
-          // Clear search after a longer delay to ensure scroll completes
-          setTimeout(() => {
-            setSelectedEvent(null);
-          }, 1500);
-        } catch (err) {
-          console.error("Error scrolling to event:", err);
-          // Fallback: try to find the event by matching year and headline
-          const event = timelineData.events.find(
-            (e) =>
-              e.text.headline === option.headline &&
-              e.start_date.year === parseInt(option.year)
-          );
-          if (event) {
-            timelineInstance.current.goToId(event.unique_id);
-            // Clear search after a longer delay to ensure scroll completes
-            setTimeout(() => {
-              setSelectedEvent(null);
-            }, 1500);
-          }
-        }
-      }, 100);
+        setSelectedEvent(null);
+      }, 1500);
     }
   };
 
@@ -351,18 +775,12 @@ const TimelineComponent = () => {
         <div className="top-controls">
           <div className="timeline-type-selector">
             <Select
-              value={{
-                value: selectedTimelineType,
-                label:
-                  selectedTimelineType === "modern"
-                    ? "Modern History"
-                    : "Ancient History",
-              }}
+              value={{ value: dataset.id, label: dataset.label }}
               onChange={(option) => setSelectedTimelineType(option.value)}
-              options={[
-                { value: "modern", label: "Modern History" },
-                { value: "ancient", label: "Ancient History" },
-              ]}
+              options={datasets.map(({ id, label }) => ({
+                value: id,
+                label,
+              }))}
               styles={{
                 control: (base) => ({
                   ...base,
@@ -385,113 +803,194 @@ const TimelineComponent = () => {
               }}
             />
           </div>
+          <Tooltip title="Load your own timeline from a CSV">
+            <IconButton onClick={() => setShowLoadDataset(true)} size="small">
+              <UploadFile sx={{ fontSize: "1.2rem" }} />
+            </IconButton>
+          </Tooltip>
+          {isLocalDataset(dataset) && (
+            <Tooltip title="Remove this timeline from the browser">
+              <IconButton onClick={handleRemoveLocalDataset} size="small">
+                <DeleteOutline sx={{ fontSize: "1.2rem" }} />
+              </IconButton>
+            </Tooltip>
+          )}
           <div className="search-container">
-            <Select
+            <EventSearch
+              sources={searchSources}
+              showSource={searchScope === "all"}
               value={selectedEvent}
               onChange={handleEventSelect}
-              options={searchOptions}
               isDisabled={isLoading}
-              placeholder="Search events..."
-              isClearable
-              className="event-search"
-              filterOption={(option, input) => {
-                // Custom filter: match headline or text (case-insensitive)
-                const label = option.label?.toLowerCase() || "";
-                const headline = option.data.headline?.toLowerCase() || "";
-                const text = option.data.text?.toLowerCase() || "";
-                const inputValue = input.toLowerCase();
-                return (
-                  label.includes(inputValue) ||
-                  headline.includes(inputValue) ||
-                  text.includes(inputValue)
-                );
-              }}
-              formatOptionLabel={(option) => (
-                <div
-                  style={{
-                    display: "flex",
-                    flexDirection: "column",
-                    minWidth: 0,
-                  }}
-                >
-                  <span
-                    style={{
-                      fontWeight: 600,
-                      color: "#1e293b",
-                      fontSize: "1rem",
-                      whiteSpace: "nowrap",
-                      overflow: "hidden",
-                      textOverflow: "ellipsis",
-                      minWidth: 0,
-                    }}
-                  >
-                    {option.year} - {option.headline}
-                  </span>
-                  {option.text && (
-                    <span
-                      style={{
-                        color: "#64748b",
-                        fontSize: "0.92rem",
-                        whiteSpace: "nowrap",
-                        overflow: "hidden",
-                        textOverflow: "ellipsis",
-                        minWidth: 0,
-                        marginTop: 2,
-                      }}
-                    >
-                      {option.text}
-                    </span>
-                  )}
-                </div>
-              )}
-              styles={{
-                control: (base) => ({
-                  ...base,
-                  minWidth: "300px",
-                  backgroundColor: "#f8fafc",
-                  borderColor: "#e2e8f0",
-                  boxShadow: "none",
-                  "&:hover": {
-                    borderColor: "#94a3b8",
-                  },
-                }),
-                menu: (base) => ({
-                  ...base,
-                  zIndex: 9999,
-                  boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
-                  border: "1px solid #e2e8f0",
-                  borderRadius: "8px",
-                  overflow: "hidden",
-                }),
-                option: (base, state) => ({
-                  ...base,
-                  alignItems: "flex-start",
-                  backgroundColor: state.isSelected
-                    ? "#3b82f6"
-                    : state.isFocused
-                    ? "#f1f5f9"
-                    : "white",
-                  color: state.isSelected ? "white" : "#1e293b",
-                  cursor: "pointer",
-                  paddingTop: 8,
-                  paddingBottom: 8,
-                  minHeight: "unset",
-                  "&:hover": {
-                    backgroundColor: state.isSelected ? "#3b82f6" : "#f1f5f9",
-                  },
-                }),
-                input: (base) => ({
-                  ...base,
-                  color: "#1e293b",
-                }),
-                placeholder: (base) => ({
-                  ...base,
-                  color: "#94a3b8",
-                }),
-              }}
+              onQueryChange={setSearchQuery}
             />
           </div>
+          <ToggleButtonGroup
+            value={searchScope}
+            exclusive
+            onChange={(e, scope) => scope && setSearchScope(scope)}
+            size="small"
+          >
+            <ToggleButton
+              value="current"
+              sx={{ textTransform: "none", py: 0.5, whiteSpace: "nowrap" }}
+            >
+              This timeline
+            </ToggleButton>
+            <ToggleButton
+              value="all"
+              sx={{ textTransform: "none", py: 0.5, whiteSpace: "nowrap" }}
+            >
+              All timelines
+            </ToggleButton>
+          </ToggleButtonGroup>
+          <ToggleButtonGroup
+            value={viewMode}
+            exclusive
+            onChange={handleViewModeChange}
+            size="small"
+          >
+            <ToggleButton
+              value={VIEW_MODES.SLIDES}
+              aria-label="Slides"
+              sx={{ py: 0.5 }}
+            >
+              <Tooltip title="Slides">
+                <ViewCarousel sx={{ fontSize: "1.2rem" }} />
+              </Tooltip>
+            </ToggleButton>
+            <ToggleButton
+              value={VIEW_MODES.LIST}
+              aria-label="List"
+              sx={{ py: 0.5 }}
+            >
+              <Tooltip title="List">
+                <TableRows sx={{ fontSize: "1.2rem" }} />
+              </Tooltip>
+            </ToggleButton>
+          </ToggleButtonGroup>
+          <Tooltip title="Quiz yourself on the selected groups">
+            <IconButton
+              onClick={() => setShowQuiz(true)}
+              disabled={!timeline}
+              size="small"
+            >
+              <School sx={{ fontSize: "1.2rem" }} />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Put the selected groups' events in order">
+            <IconButton
+              onClick={() => setShowChronology(true)}
+              disabled={!timeline}
+              size="small"
+            >
+              <SwapVert sx={{ fontSize: "1.2rem" }} />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Bookmarks and notes">
+            <IconButton
+              onClick={() => setShowBookmarks((prev) => !prev)}
+              color={showBookmarks ? "primary" : "default"}
+              size="small"
+            >
+              <CollectionsBookmark sx={{ fontSize: "1.2rem" }} />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Revision progress">
+            <IconButton
+              onClick={() => setShowProgress((prev) => !prev)}
+              color={showProgress ? "primary" : "default"}
+              size="small"
+            >
+              <DonutLarge sx={{ fontSize: "1.2rem" }} />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Printable revision sheet">
+            <IconButton
+              onClick={() => setShowPrintSheet(true)}
+              disabled={!timeline}
+              size="small"
+            >
+              <Print sx={{ fontSize: "1.2rem" }} />
+            </IconButton>
+          </Tooltip>
+          {isAuthor && (
+            <Tooltip title="Edit the CSV">
+              <IconButton onClick={() => setShowCsvEditor(true)} size="small">
+                <Edit sx={{ fontSize: "1.2rem" }} />
+              </IconButton>
+            </Tooltip>
+          )}
+          <ExportMenu
+            dataset={dataset}
+            timeline={timeline}
+            events={timelineData?.events || []}
+          />
+          {canShare && (
+            <Tooltip title={linkCopied ? "Link copied" : "Copy link"}>
+              <IconButton onClick={handleCopyLink} size="small">
+                <LinkIcon sx={{ fontSize: "1.2rem" }} />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip
+            title={`Data issues: ${diagnosticCounts.errors} errors, ${diagnosticCounts.warnings} warnings`}
+          >
+            <IconButton
+              onClick={() => setShowDataIssues((prev) => !prev)}
+              color={showDataIssues ? "primary" : "default"}
+              size="small"
+            >
+              <Badge
+                badgeContent={diagnostics.length}
+                color={diagnosticCounts.errors > 0 ? "error" : "warning"}
+                max={99}
+              >
+                <ReportProblem sx={{ fontSize: "1.2rem" }} />
+              </Badge>
+            </IconButton>
+          </Tooltip>
         </div>
+        {showDataIssues && (
+          <DataIssuesPanel
+            diagnostics={diagnostics}
+            datasetLabel={dataset.label}
+            onClose={() => setShowDataIssues(false)}
+          />
+        )}
+        {showBookmarks && timeline && (
+          <BookmarksPanel
+            events={timeline.events}
+            annotations={annotations}
+            datasetLabel={dataset.label}
+            onSelect={(eventId) => navigateToEvent(dataset.id, eventId)}
+            onClose={() => setShowBookmarks(false)}
+          />
+        )}
+        {showProgress && timeline && (
+          <RevisionProgressPanel
+            coverages={coverages}
+            unvisitedEvents={(timelineData?.events || []).filter(
+              (event) => !progress.visited[event.unique_id]
+            )}
+            dataset={dataset}
+            canGoToNext={Boolean(nextUnrevised)}
+            onNextUnrevised={() =>
+              navigateToEvent(dataset.id, nextUnrevised.unique_id)
+            }
+            onSelect={(eventId) => navigateToEvent(dataset.id, eventId)}
+            onReset={handleResetProgress}
+            onClose={() => setShowProgress(false)}
+          />
+        )}
+        {timeline && (
+          <YearRangeFilter
+            events={timeline.events}
+            groupEvents={groupEvents}
+            yearRange={yearRange}
+            onChange={setYearRange}
+          />
+        )}
         <div className="filter-chips-row">
           <div className="filter-actions-container">
             <Tooltip title="Select All">
@@ -532,10 +1031,44 @@ const TimelineComponent = () => {
           </div>
           <div className="filter-chips-scroll">
             <div className="filter-chips-container">
+              {yearRange && (
+                <Chip
+                  label={`Years ${
+                    yearRange.from != null ? formatYear(yearRange.from) : "…"
+                  } – ${yearRange.to != null ? formatYear(yearRange.to) : "…"}`}
+                  onDelete={() => setYearRange(null)}
+                  color="secondary"
+                  size="small"
+                  sx={{ m: "2px", height: "22px", fontSize: "0.8rem" }}
+                />
+              )}
+              {(bookmarkedIds || showBookmarked) && (
+                <Chip
+                  icon={<Star sx={{ fontSize: "0.9rem" }} />}
+                  label="Bookmarked"
+                  onClick={() => setShowBookmarked((prev) => !prev)}
+                  variant={showBookmarked ? "filled" : "outlined"}
+                  color={showBookmarked ? "warning" : "default"}
+                  size="small"
+                  sx={{
+                    m: "2px",
+                    fontWeight: 500,
+                    px: 0.8,
+                    borderRadius: "12px",
+                    height: "22px",
+                    cursor: "pointer",
+                    fontSize: "0.8rem",
+                  }}
+                />
+              )}
               {uniqueGroups.map((group) => (
                 <Chip
                   key={group}
-                  label={group}
+                  label={
+                    showProgress && coverage?.byGroup[group]
+                      ? `${group} · ${coverage.byGroup[group].visitedPercent}%`
+                      : group
+                  }
                   onClick={() => handleGroupToggle(group)}
                   variant={activeGroups.has(group) ? "filled" : "outlined"}
                   color={activeGroups.has(group) ? "primary" : "default"}
@@ -562,6 +1095,72 @@ const TimelineComponent = () => {
         </div>
       </div>
 
+      {currentEvent && timelineData && (
+        <EventAnnotationBar
+          key={currentEvent.unique_id}
+          event={currentEvent}
+          eras={currentEras}
+          annotation={annotations[currentEvent.unique_id]}
+          onToggleBookmark={() => toggleBookmark(currentEvent.unique_id)}
+          onSaveNote={(note) => saveNote(currentEvent.unique_id, note)}
+          revised={Boolean(progress.revised[currentEvent.unique_id])}
+          onToggleRevised={() => toggleRevised(currentEvent.unique_id)}
+        />
+      )}
+
+      {showQuiz && timeline && (
+        <QuizDialog
+          dataset={dataset}
+          events={timelineData?.events || []}
+          allEvents={timeline.events}
+          onShowEvent={(eventId) => {
+            setShowQuiz(false);
+            navigateToEvent(dataset.id, eventId);
+          }}
+          onClose={() => setShowQuiz(false)}
+        />
+      )}
+
+      {showChronology && timeline && (
+        <ChronologyDialog
+          dataset={dataset}
+          events={timelineData?.events || []}
+          onShowEvent={(eventId) => {
+            setShowChronology(false);
+            navigateToEvent(dataset.id, eventId);
+          }}
+          onClose={() => setShowChronology(false)}
+        />
+      )}
+
+      {showPrintSheet && timeline && (
+        <PrintSheet
+          datasetLabel={dataset.label}
+          events={timelineData?.events || []}
+          groups={uniqueGroups.filter((group) => activeGroups.has(group))}
+          allGroups={uniqueGroups.every((group) => activeGroups.has(group))}
+          bookmarked={showBookmarked}
+          yearRange={yearRange}
+          onClose={() => setShowPrintSheet(false)}
+        />
+      )}
+
+      {showCsvEditor && (
+        <CsvEditor
+          key={dataset.id}
+          dataset={dataset}
+          groups={uniqueGroups}
+          onClose={() => setShowCsvEditor(false)}
+        />
+      )}
+
+      {showLoadDataset && (
+        <LoadDatasetDialog
+          onAdd={handleAddLocalDataset}
+          onClose={() => setShowLoadDataset(false)}
+        />
+      )}
+
       <div className="timeline-component">
         {isLoading && <div className="loading">Loading timeline data...</div>}
         {error && !isLoading && (
@@ -589,18 +1188,33 @@ const TimelineComponent = () => {
               </Typography>
             </div>
           )}
-        <div
-          ref={timelineContainer}
-          className="timeline-container"
-          style={{
-            width: "100%",
-            height: "750px",
-            visibility:
-              !isLoading && !error && timelineData?.events?.length
-                ? "visible"
-                : "hidden",
-          }}
-        />
+        {!isLoading && !error && timelineData?.events?.length > 0 && (
+          <div
+            className="timeline-container"
+            style={{ width: "100%", height: "750px" }}
+          >
+            {viewMode === VIEW_MODES.LIST ? (
+              <EventTable
+                events={listEvents}
+                currentEventId={currentEventId}
+                onSelect={(eventId) => navigateToEvent(dataset.id, eventId)}
+              />
+            ) : (
+              <TimelineRenderer
+                ref={timelineView}
+                data={timelineData}
+                options={timelineOptions}
+                notes={notes}
+                related={relatedLinks}
+                onOpenRelated={(link) =>
+                  navigateToEvent(link.datasetId, link.uniqueId)
+                }
+                highlightedIds={unvisitedIds}
+                onChange={handleTimelineChange}
+              />
+            )}
+          </div>
+        )}
       </div>
 
       <style>{`
@@ -705,4 +1319,13 @@ const TimelineComponent = () => {
   );
 };
 
-export default TimelineComponent;
+/**
+ * Reads the user's own timelines before showing the app, so that a saved or
+ * linked choice of one of them can be restored.
+ */
+const App = () => {
+  const { isLoaded, ...localDatasetsProps } = useLocalDatasets();
+  return isLoaded ? <TimelineComponent {...localDatasetsProps} /> : null;
+};
+
+export default App;
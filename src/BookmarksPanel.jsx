@@ -0,0 +1,78 @@
+import React from "react";
+import { IconButton, Tooltip, Typography } from "@mui/material";
+import { Close, Star, StickyNote2 } from "@mui/icons-material";
+import { compareByDate } from "./chronology";
+import { formatYear } from "./timelineScale";
+import { toPlainText } from "./richText";
+
+/**
+ * Lists the bookmarked and annotated events of the loaded dataset. Selecting
+ * one shows it on the timeline.
+ * @param {object} props
+ * @param {Array<object>} props.events - Every event of the dataset.
+ * @param {object} props.annotations - Annotations keyed by event ID.
+ * @param {string} props.datasetLabel - Label of the dataset being shown.
+ * @param {Function} props.onSelect - Called with the ID of the selected event.
+ * @param {Function} props.onClose - Called when the panel is dismissed.
+ */
+const BookmarksPanel = ({
+  events,
+  annotations,
+  datasetLabel,
+  onSelect,
+  onClose,
+}) => {
+  const annotated = events
+    .filter((event) => annotations[event.unique_id])
+    .sort(compareByDate);
+
+  return (
+    <div className="bookmarks-panel">
+      <div className="bookmarks-header">
+        <Typography variant="subtitle2" component="h2">
+          Bookmarks and notes in {datasetLabel}
+        </Typography>
+        <Tooltip title="Close">
+          <IconButton onClick={onClose} size="small">
+            <Close sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </Tooltip>
+      </div>
+      {annotated.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">
+          Bookmark an event or add a note to it to find it here.
+        </Typography>
+      ) : (
+        <ul className="bookmarks-list">
+          {annotated.map((event) => {
+            const { bookmarked, note } = annotations[event.unique_id];
+            return (
+              <li key={event.unique_id}>
+                <button
+                  type="button"
+                  className="bookmarks-item"
+                  onClick={() => onSelect(event.unique_id)}
+                >
+                  {bookmarked ? (
+                    <Star sx={{ fontSize: "1rem", color: "#f59e0b" }} />
+                  ) : (
+                    <StickyNote2 sx={{ fontSize: "1rem", color: "#94a3b8" }} />
+                  )}
+                  <span className="bookmarks-year">
+                    {formatYear(event.start_date.year)}
+                  </span>
+                  <span className="bookmarks-text">
+                    {toPlainText(event.text.headline)}
+                    {note && <span className="bookmarks-note">{note}</span>}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BookmarksPanel;
@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Stack,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from "@mui/material";
+import {
+  ArrowDownward,
+  ArrowUpward,
+  Cancel,
+  CheckCircle,
+  DragIndicator,
+} from "@mui/icons-material";
+import {
+  DIFFICULTIES,
+  pickChronologyEvents,
+  scoreChronology,
+} from "./chronology";
+import { formatYear } from "./timelineScale";
+import { toPlainText } from "./richText";
+
+const EVENTS_PER_CHALLENGE = 6;
+
+// Moves the item at index `from` to index `to`
+const moveItem = (items, from, to) => {
+  const moved = [...items];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+};
+
+const formatDate = ({ year, month, day }) =>
+  [day, month, formatYear(year)].filter(Boolean).join("/");
+
+/**
+ * Game where the user drags events of the active groups into chronological
+ * order, then sees the correct sequence with years. Cards can also be moved
+ * with the arrow buttons, e.g. on touch screens.
+ * @param {object} props
+ * @param {object} props.dataset - The dataset manifest entry.
+ * @param {Array<object>} props.events - Events of the active groups.
+ * @param {Function} props.onShowEvent - Called with an event ID to show it on the timeline.
+ * @param {Function} props.onClose - Called when the dialog is closed.
+ */
+const ChronologyDialog = ({ dataset, events, onShowEvent, onClose }) => {
+  const [difficulty, setDifficulty] = useState(DIFFICULTIES.MEDIUM);
+  const [order, setOrder] = useState(() =>
+    pickChronologyEvents(events, EVENTS_PER_CHALLENGE, difficulty)
+  );
+  const [result, setResult] = useState(null);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+
+  const startChallenge = (newDifficulty) => {
+    setDifficulty(newDifficulty);
+    setOrder(pickChronologyEvents(events, EVENTS_PER_CHALLENGE, newDifficulty));
+    setResult(null);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    if (draggedIndex === null || draggedIndex === index) return;
+    setOrder((prev) => moveItem(prev, draggedIndex, index));
+    setDraggedIndex(index);
+  };
+
+  const isCorrectAt = (event, index) =>
+    result && result.correctOrder[index] === event;
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Chronology: {dataset.label}
+        <Typography variant="body2" color="textSecondary">
+          Drag the events into chronological order, earliest first.
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        <ToggleButtonGroup
+          value={difficulty}
+          exclusive
+          onChange={(e, value) => value && startChallenge(value)}
+          size="small"
+          sx={{ mb: 2 }}
+        >
+          {Object.values(DIFFICULTIES).map((value) => (
+            <ToggleButton
+              key={value}
+              value={value}
+              sx={{ textTransform: "capitalize", py: 0.5 }}
+            >
+              {value}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        {order.length < 2 && (
+          <Typography color="textSecondary">
+            Please select groups with events from at least two different years.
+          </Typography>
+        )}
+
+        {order.length >= 2 && (
+          <div className="chronology-cards">
+            {order.map((event, index) => (
+              <div
+                key={event.unique_id}
+                className={[
+                  "chronology-card",
+                  draggedIndex === index ? "chronology-card-dragged" : "",
+                  result
+                    ? isCorrectAt(event, index)
+                      ? "chronology-card-correct"
+                      : "chronology-card-wrong"
+                    : "",
+                ].join(" ")}
+                draggable={!result}
+                onDragStart={() => setDraggedIndex(index)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDragEnd={() => setDraggedIndex(null)}
+              >
+                {result ? (
+                  isCorrectAt(event, index) ? (
+                    <CheckCircle color="success" sx={{ fontSize: "1.1rem" }} />
+                  ) : (
+                    <Cancel color="error" sx={{ fontSize: "1.1rem" }} />
+                  )
+                ) : (
+                  <DragIndicator
+                    sx={{ fontSize: "1.1rem", color: "#94a3b8", cursor: "grab" }}
+                  />
+                )}
+                <span className="chronology-card-headline">
+                  {toPlainText(event.text.headline)}
+                </span>
+                {result ? (
+                  <span className="chronology-card-year">
+                    {formatDate(event.start_date)}
+                  </span>
+                ) : (
+                  <>
+                    <IconButton
+                      size="small"
+                      disabled={index === 0}
+                      onClick={() =>
+                        setOrder((prev) => moveItem(prev, index, index - 1))
+                      }
+                      aria-label="Move up"
+                    >
+                      <ArrowUpward sx={{ fontSize: "1rem" }} />
+                    </IconButton>
+                    <IconButton
+                      size="small"
+                      disabled={index === order.length - 1}
+                      onClick={() =>
+                        setOrder((prev) => moveItem(prev, index, index + 1))
+                      }
+                      aria-label="Move down"
+                    >
+                      <ArrowDownward sx={{ fontSize: "1rem" }} />
+                    </IconButton>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {result && (
+          <Stack spacing={0.5} sx={{ mt: 2 }}>
+            <Typography variant="h6">
+              {result.correctPositions} of {order.length} in the right place
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              {result.correctPairs} of {result.totalPairs} pairs in the right
+              order
+            </Typography>
+            <Typography variant="subtitle2" sx={{ pt: 1 }}>
+              Correct order
+            </Typography>
+            {result.correctOrder.map((event) => (
+              <Stack
+                key={event.unique_id}
+                direction="row"
+                spacing={1}
+                alignItems="center"
+              >
+                <span className="chronology-card-year">
+                  {formatDate(event.start_date)}
+                </span>
+                <Typography variant="body2" sx={{ flex: 1 }}>
+                  {toPlainText(event.text.headline)}
+                </Typography>
+                <Button
+                  size="small"
+                  onClick={() => onShowEvent(event.unique_id)}
+                  sx={{ textTransform: "none", flexShrink: 0 }}
+                >
+                  Show on timeline
+                </Button>
+              </Stack>
+            ))}
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {!result && order.length >= 2 && (
+          <Button
+            variant="contained"
+            onClick={() => setResult(scoreChronology(order))}
+          >
+            Check order
+          </Button>
+        )}
+        {result && (
+          <Button onClick={() => startChallenge(difficulty)}>
+            New challenge
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ChronologyDialog;
@@ -0,0 +1,467 @@
+import React, {
+  memo,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Typography,
+} from "@mui/material";
+import {
+  Add,
+  Close,
+  ContentCopy,
+  DeleteOutline,
+  FileDownload,
+} from "@mui/icons-material";
+import {
+  CELL_TYPES,
+  getCellType,
+  parseCsvDraft,
+  serializeCsvDraft,
+  updateCell,
+  insertRow,
+  duplicateRow,
+  deleteRow,
+  getDraftLines,
+  indexDiagnostics,
+  loadCsvDraft,
+  saveCsvDraft,
+  clearCsvDraft,
+} from "./csvDraft";
+import { resolveColumn } from "./csvColumns";
+import { compileCsv, getCompileOptions } from "./compileDataset";
+import { countDiagnostics } from "./csvValidation";
+import { createEventId } from "./eventIds";
+import { parseYearValue } from "./historicalDates";
+import { downloadFile } from "./exportEvents";
+import { DATASETS, getStorageKey, getTimelineOptions } from "./datasets";
+import NativeTimeline from "./NativeTimeline";
+
+// Pause in typing after which the preview is recompiled and the draft saved
+const PREVIEW_DELAY = 400;
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const COLUMN_WIDTHS = {
+  [CELL_TYPES.YEAR]: 110,
+  [CELL_TYPES.MONTH]: 84,
+  [CELL_TYPES.DAY]: 56,
+  [CELL_TYPES.TIME]: 72,
+  [CELL_TYPES.GROUP]: 170,
+  [CELL_TYPES.URL]: 220,
+  [CELL_TYPES.LONG_TEXT]: 380,
+  [CELL_TYPES.TEXT]: 170,
+};
+
+// Input of one cell, suited to the column's type
+const EditorCell = ({ type, value, label, groupsListId, onChange }) => {
+  const props = {
+    className: "csv-cell-input",
+    value,
+    "aria-label": label,
+    onChange: (e) => onChange(e.target.value),
+  };
+  switch (type) {
+    case CELL_TYPES.MONTH: {
+      const isKnown = value === "" || MONTH_NAMES[Number(value) - 1];
+      return (
+        <select {...props}>
+          <option value="" />
+          {MONTH_NAMES.map((name, index) => (
+            <option key={name} value={String(index + 1)}>
+              {index + 1} {name}
+            </option>
+          ))}
+          {!isKnown && <option value={value}>{value}</option>}
+        </select>
+      );
+    }
+    case CELL_TYPES.GROUP:
+      return <input {...props} list={groupsListId} />;
+    case CELL_TYPES.URL:
+      return <input {...props} type="url" placeholder="https://" />;
+    case CELL_TYPES.LONG_TEXT:
+      return <textarea {...props} rows={1} />;
+    case CELL_TYPES.YEAR:
+      return <input {...props} placeholder="e.g. 1857, 320 BCE" />;
+    case CELL_TYPES.DAY:
+      return <input {...props} inputMode="numeric" />;
+    case CELL_TYPES.TIME:
+      return <input {...props} placeholder="HH:MM" />;
+    default:
+      return <input {...props} />;
+  }
+};
+
+// A row of the grid; only rows whose data or issues change re-render
+const EditorRow = memo(
+  ({
+    row,
+    index,
+    line,
+    headers,
+    columns,
+    types,
+    issues,
+    isSelected,
+    groupsListId,
+    onCellChange,
+    onRowAction,
+    onSelect,
+  }) => {
+    const rowIssues = issues?.[""];
+    return (
+      <tr
+        className={isSelected ? "csv-row csv-row-selected" : "csv-row"}
+        onFocus={() => onSelect(index)}
+      >
+        <th
+          scope="row"
+          className={`csv-row-header${
+            rowIssues ? ` csv-cell-${rowIssues[0].severity}` : ""
+          }`}
+          title={rowIssues?.map((issue) => issue.message).join("\n")}
+        >
+          {/* Line numbers match the file and the data issues panel */}
+          <span className="csv-row-number">{line}</span>
+          <IconButton
+            size="small"
+            title="Insert a row below"
+            aria-label="Insert a row below"
+            onClick={() => onRowAction("insert", index)}
+          >
+            <Add sx={{ fontSize: "1rem" }} />
+          </IconButton>
+          <IconButton
+            size="small"
+            title="Duplicate row"
+            aria-label="Duplicate row"
+            onClick={() => onRowAction("duplicate", index)}
+          >
+            <ContentCopy sx={{ fontSize: "0.9rem" }} />
+          </IconButton>
+          <IconButton
+            size="small"
+            title="Delete row"
+            aria-label="Delete row"
+            onClick={() => onRowAction("delete", index)}
+          >
+            <DeleteOutline sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </th>
+        {row.cells.map((value, column) => {
+          const cellIssues = issues?.[columns[column]];
+          return (
+            <td
+              key={column}
+              className={
+                cellIssues
+                  ? `csv-cell csv-cell-${cellIssues[0].severity}`
+                  : "csv-cell"
+              }
+              title={cellIssues?.map((issue) => issue.message).join("\n")}
+            >
+              <EditorCell
+                type={types[column]}
+                value={value}
+                label={`${headers[column]}, line ${line}`}
+                groupsListId={groupsListId}
+                onChange={(newValue) => onCellChange(index, column, newValue)}
+              />
+            </td>
+          );
+        })}
+      </tr>
+    );
+  }
+);
+
+/**
+ * Spreadsheet-style editor of a dataset's CSV, with a live preview of the
+ * timeline it gives. Cells are checked as the CSV is compiled for the
+ * preview, and the draft is saved in the browser after every change, so
+ * closing the editor loses nothing. Downloading writes the CSV back with the
+ * file's own columns and delimiter, rows left untouched byte for byte.
+ * @param {object} props
+ * @param {object} props.dataset - A dataset manifest entry.
+ * @param {Array<string>} props.groups - The dataset's groups, offered for the Group column.
+ * @param {Function} props.onClose - Called when the editor is closed.
+ */
+const CsvEditor = ({ dataset, groups, onClose }) => {
+  const storageKey = getStorageKey("csvDraft", dataset);
+  const [saved] = useState(() => loadCsvDraft(storageKey));
+  const [draft, setDraft] = useState(saved?.draft || null);
+  // When the draft shown was restored from the browser
+  const [restoredAt, setRestoredAt] = useState(saved?.savedAt || null);
+  const [isEdited, setIsEdited] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [compiled, setCompiled] = useState(null);
+  const [selectedRow, setSelectedRow] = useState(null);
+  const previewRef = useRef(null);
+
+  const loadSource = useCallback(
+    () =>
+      dataset
+        .loadSource()
+        .then((text) => setDraft(parseCsvDraft(text, dataset.delimiter)))
+        .catch((error) => {
+          console.error("Error loading CSV:", error);
+          setLoadError(error.message);
+        }),
+    [dataset]
+  );
+
+  // Start from the CSV unless a draft was saved
+  useEffect(() => {
+    if (!saved) loadSource();
+  }, [saved, loadSource]);
+
+  // Recompile the preview and save the draft once typing pauses
+  useEffect(() => {
+    if (!draft) return;
+    const timer = setTimeout(() => {
+      setCompiled(
+        compileCsv(
+          serializeCsvDraft(draft, dataset.delimiter),
+          getCompileOptions(dataset, DATASETS)
+        )
+      );
+      if (isEdited) saveCsvDraft(storageKey, draft);
+    }, PREVIEW_DELAY);
+    return () => clearTimeout(timer);
+  }, [draft, isEdited, dataset, storageKey]);
+
+  const edit = useCallback((change) => {
+    setDraft((prev) => change(prev));
+    setIsEdited(true);
+  }, []);
+
+  const handleCellChange = useCallback(
+    (rowIndex, column, value) =>
+      edit((prev) => updateCell(prev, rowIndex, column, value)),
+    [edit]
+  );
+
+  const handleRowAction = useCallback(
+    (action, rowIndex) => {
+      if (action === "insert") edit((prev) => insertRow(prev, rowIndex + 1));
+      if (action === "duplicate") edit((prev) => duplicateRow(prev, rowIndex));
+      if (action === "delete") edit((prev) => deleteRow(prev, rowIndex));
+    },
+    [edit]
+  );
+
+  const handleDiscard = () => {
+    if (!window.confirm("Discard your changes to this CSV?")) return;
+    clearCsvDraft(storageKey);
+    setRestoredAt(null);
+    setIsEdited(false);
+    loadSource();
+  };
+
+  const handleDownload = () => {
+    downloadFile(
+      dataset.source.split("/").pop(),
+      serializeCsvDraft(draft, dataset.delimiter),
+      "text/csv"
+    );
+  };
+
+  const headers = draft?.headers;
+  const columns = useMemo(
+    () =>
+      (headers || []).map((header) => resolveColumn(header) || header.trim()),
+    [headers]
+  );
+  const types = useMemo(() => (headers || []).map(getCellType), [headers]);
+  const issuesByLine = useMemo(
+    () => indexDiagnostics(compiled?.diagnostics || []),
+    [compiled]
+  );
+  const lines = useMemo(
+    () => (draft ? getDraftLines(draft, dataset.delimiter) : []),
+    [draft, dataset.delimiter]
+  );
+  const counts = countDiagnostics(compiled?.diagnostics || []);
+
+  // Offer the groups already typed in the draft too, e.g. new ones
+  const groupColumn = columns.indexOf("Group");
+  const groupOptions = [
+    ...new Set([
+      ...groups,
+      ...(draft?.rows || [])
+        .map((row) => row.cells[groupColumn]?.trim())
+        .filter(Boolean),
+    ]),
+  ].sort();
+  const groupsListId = `csv-editor-groups-${dataset.id}`;
+
+  // Show the event of the selected row in the preview
+  const selectedCells = draft?.rows[selectedRow]?.cells;
+  useEffect(() => {
+    if (!selectedCells || !compiled?.timeline) return;
+    const cell = (column) => selectedCells[columns.indexOf(column)] || "";
+    const year = parseYearValue(cell("Year"));
+    if (!year) return;
+    const eventId = createEventId({
+      id: cell("Unique ID"),
+      year: year.start,
+      headline: cell("Headline").trim(),
+    });
+    if (compiled.timeline.events.some((event) => event.unique_id === eventId)) {
+      previewRef.current?.goToId(eventId);
+    }
+  }, [selectedCells, compiled, columns]);
+
+  const fileIssues = issuesByLine.get(1);
+
+  return (
+    <Dialog open onClose={onClose} fullScreen>
+      <DialogTitle className="csv-editor-title">
+        <div>
+          Edit {dataset.source.split("/").pop()}
+          <Typography variant="body2" color="textSecondary">
+            {draft ? `${draft.rows.length} rows · ` : ""}
+            {counts.errors} errors, {counts.warnings} warnings · Changes are
+            kept in this browser; download the CSV to replace the file.
+          </Typography>
+        </div>
+        <div className="csv-editor-actions">
+          <Button
+            size="small"
+            startIcon={<Add />}
+            onClick={() => edit((prev) => insertRow(prev, prev.rows.length))}
+            disabled={!draft}
+          >
+            Add row
+          </Button>
+          <Button
+            size="small"
+            variant="contained"
+            startIcon={<FileDownload />}
+            onClick={handleDownload}
+            disabled={!draft}
+          >
+            Download CSV
+          </Button>
+          <Button
+            size="small"
+            color="error"
+            onClick={handleDiscard}
+            disabled={!restoredAt && !isEdited}
+          >
+            Discard draft
+          </Button>
+          <IconButton onClick={onClose} aria-label="Close">
+            <Close />
+          </IconButton>
+        </div>
+      </DialogTitle>
+      <DialogContent dividers className="csv-editor">
+        {loadError && (
+          <Alert severity="error">
+            The CSV could not be loaded: {loadError}
+          </Alert>
+        )}
+        {restoredAt && (
+          <Alert severity="info" sx={{ mb: 1 }}>
+            Restored your draft of {new Date(restoredAt).toLocaleString()}.
+          </Alert>
+        )}
+        {fileIssues &&
+          Object.values(fileIssues)
+            .flat()
+            .map((issue) => (
+              <Alert
+                key={issue.message}
+                severity={issue.severity}
+                sx={{ mb: 1 }}
+              >
+                {issue.message}
+              </Alert>
+            ))}
+        {draft && (
+          <div className="csv-editor-grid">
+            <table>
+              <thead>
+                <tr>
+                  <th className="csv-row-header" />
+                  {headers.map((header, column) => (
+                    <th
+                      key={column}
+                      style={{ minWidth: COLUMN_WIDTHS[types[column]] }}
+                    >
+                      {header}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {draft.rows.map((row, index) => (
+                  <EditorRow
+                    key={row.id}
+                    row={row}
+                    index={index}
+                    line={lines[index]}
+                    headers={headers}
+                    columns={columns}
+                    types={types}
+                    issues={issuesByLine.get(lines[index])}
+                    isSelected={index === selectedRow}
+                    groupsListId={groupsListId}
+                    onCellChange={handleCellChange}
+                    onRowAction={handleRowAction}
+                    onSelect={setSelectedRow}
+                  />
+                ))}
+              </tbody>
+            </table>
+            <datalist id={groupsListId}>
+              {groupOptions.map((group) => (
+                <option key={group} value={group} />
+              ))}
+            </datalist>
+          </div>
+        )}
+        <div className="csv-editor-preview">
+          {compiled?.timeline ? (
+            <NativeTimeline
+              ref={previewRef}
+              data={compiled.timeline}
+              options={getTimelineOptions(dataset)}
+              onChange={() => {}}
+            />
+          ) : (
+            <Typography color="textSecondary" align="center" sx={{ mt: 4 }}>
+              {compiled?.error || "Preparing the preview…"}
+            </Typography>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CsvEditor;
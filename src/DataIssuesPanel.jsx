@@ -0,0 +1,67 @@
+import React from "react";
+import { IconButton, Tooltip, Typography } from "@mui/material";
+import { Close, ErrorOutline, WarningAmber } from "@mui/icons-material";
+import { SEVERITY, countDiagnostics } from "./csvValidation";
+
+/**
+ * Lists the validation diagnostics of the loaded dataset so content editors
+ * can fix the CSV before it ships.
+ * @param {object} props
+ * @param {Array<object>} props.diagnostics - Diagnostics from validateCsvData.
+ * @param {string} props.datasetLabel - Label of the dataset being shown.
+ * @param {Function} props.onClose - Called when the panel is dismissed.
+ */
+const DataIssuesPanel = ({ diagnostics, datasetLabel, onClose }) => {
+  const { errors, warnings } = countDiagnostics(diagnostics);
+
+  return (
+    <div className="data-issues-panel">
+      <div className="data-issues-header">
+        <Typography variant="subtitle2" component="h2">
+          Data issues in {datasetLabel}: {errors} error
+          {errors === 1 ? "" : "s"}, {warnings} warning
+          {warnings === 1 ? "" : "s"}
+        </Typography>
+        <Tooltip title="Close">
+          <IconButton onClick={onClose} size="small">
+            <Close sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </Tooltip>
+      </div>
+      {diagnostics.length === 0 ? (
+        <Typography variant="body2" color="textSecondary">
+          No issues found.
+        </Typography>
+      ) : (
+        <table className="data-issues-table">
+          <thead>
+            <tr>
+              <th />
+              <th>Line</th>
+              <th>Column</th>
+              <th>Issue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diagnostics.map((diagnostic, index) => (
+              <tr key={index} className={`data-issue-${diagnostic.severity}`}>
+                <td>
+                  {diagnostic.severity === SEVERITY.ERROR ? (
+                    <ErrorOutline sx={{ fontSize: "1rem" }} />
+                  ) : (
+                    <WarningAmber sx={{ fontSize: "1rem" }} />
+                  )}
+                </td>
+                <td>{diagnostic.row}</td>
+                <td>{diagnostic.column || ""}</td>
+                <td>{diagnostic.message}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DataIssuesPanel;
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { Button, Chip, IconButton, TextField, Tooltip } from "@mui/material";
+import {
+  Star,
+  StarBorder,
+  EditNote,
+  TaskAlt,
+  RadioButtonUnchecked,
+} from "@mui/icons-material";
+import { formatEventDate } from "./timelineScale";
+import { toPlainText } from "./richText";
+
+/**
+ * Bookmark and revised toggles and note editor for the event shown on the
+ * timeline, with the eras it falls in.
+ * @param {object} props
+ * @param {object} props.event - The current TimelineJS event.
+ * @param {Array<object>} [props.eras] - The eras the event falls in (see findEras).
+ * @param {object} [props.annotation] - Its annotation, if any: { bookmarked, note }.
+ * @param {Function} props.onToggleBookmark - Called to (un)bookmark the event.
+ * @param {Function} props.onSaveNote - Called with the new note text.
+ * @param {boolean} props.revised - Whether the event is marked revised.
+ * @param {Function} props.onToggleRevised - Called to (un)mark the event revised.
+ */
+const EventAnnotationBar = ({
+  event,
+  eras = [],
+  annotation,
+  onToggleBookmark,
+  onSaveNote,
+  revised,
+  onToggleRevised,
+}) => {
+  // Note being edited, or null when not editing
+  const [draft, setDraft] = useState(null);
+  const bookmarked = Boolean(annotation?.bookmarked);
+  const note = annotation?.note || "";
+
+  const handleSave = () => {
+    onSaveNote(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div className="event-annotation-bar">
+      <Tooltip title={bookmarked ? "Remove bookmark" : "Bookmark this event"}>
+        <IconButton onClick={onToggleBookmark} size="small">
+          {bookmarked ? (
+            <Star sx={{ fontSize: "1.2rem", color: "#f59e0b" }} />
+          ) : (
+            <StarBorder sx={{ fontSize: "1.2rem" }} />
+          )}
+        </IconButton>
+      </Tooltip>
+      <span className="event-annotation-headline">{toPlainText(event.text.headline)}</span>
+      {eras.map((era) => (
+        <Tooltip key={era.unique_id} title={formatEventDate(era)}>
+          <Chip
+            label={toPlainText(era.text.headline)}
+            size="small"
+            variant="outlined"
+            className="event-annotation-era"
+          />
+        </Tooltip>
+      ))}
+      <Button
+        size="small"
+        color={revised ? "success" : "primary"}
+        startIcon={revised ? <TaskAlt /> : <RadioButtonUnchecked />}
+        onClick={onToggleRevised}
+        sx={{ textTransform: "none", flexShrink: 0 }}
+      >
+        {revised ? "Revised" : "Mark revised"}
+      </Button>
+      {draft === null ? (
+        <Button
+          size="small"
+          startIcon={<EditNote />}
+          onClick={() => setDraft(note)}
+          sx={{ textTransform: "none", flexShrink: 0 }}
+        >
+          {note ? "Edit note" : "Add note"}
+        </Button>
+      ) : (
+        <div className="event-annotation-editor">
+          <TextField
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Mnemonic, reminder, cross-reference…"
+            multiline
+            minRows={2}
+            size="small"
+            fullWidth
+            autoFocus
+          />
+          <Button size="small" variant="contained" onClick={handleSave}>
+            Save
+          </Button>
+          <Button size="small" onClick={() => setDraft(null)}>
+            Cancel
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventAnnotationBar;
@@ -0,0 +1,210 @@
+import React, { useMemo, useState } from "react";
+import Select from "react-select";
+import {
+  buildSearchIndex,
+  getSnippet,
+  highlightMatches,
+  searchEvents,
+} from "./searchIndex";
+import { compareByDate } from "./chronology";
+import { formatEventDate } from "./timelineScale";
+
+const NO_MATCHES = new Set();
+
+// Builds a search option from an index entry and the words that matched
+const toOption = (entry, matchedWords = NO_MATCHES) => ({
+  // Event IDs are only unique within a dataset
+  value: `${entry.source.id}/${entry.event.unique_id}`,
+  label: `${formatEventDate(entry.event)} - ${entry.headline}`,
+  date: formatEventDate(entry.event),
+  headline: entry.headline,
+  text: getSnippet(entry.text, matchedWords),
+  uniqueId: entry.event.unique_id,
+  group: entry.event.group,
+  datasetId: entry.source.id,
+  datasetLabel: entry.source.label,
+  event: entry.event,
+  matchedWords,
+});
+
+// Renders text with the matched words wrapped in <mark>
+const Highlighted = ({ text, matchedWords }) =>
+  highlightMatches(text, matchedWords).map((segment, index) =>
+    segment.isMatch ? (
+      <mark key={index} className="search-highlight">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+
+/**
+ * Search box over the events of one or more datasets, ranked by relevance and
+ * supporting the query operators of searchEvents (`group:`, `type:`, `1857..1885`).
+ * Selected options carry the `datasetId` and `uniqueId` of their event.
+ * @param {object} props
+ * @param {Array<{ id: string, label: string, events: Array<object> }>} props.sources - Datasets to search.
+ * @param {boolean} props.showSource - Whether to show which dataset each result belongs to.
+ * @param {object|null} props.value - The selected option.
+ * @param {Function} props.onChange - Called with the selected option.
+ * @param {boolean} props.isDisabled - Whether the search box is disabled.
+ * @param {Function} [props.onQueryChange] - Called with the query as it is typed.
+ */
+const EventSearch = ({
+  sources,
+  showSource,
+  value,
+  onChange,
+  isDisabled,
+  onQueryChange,
+}) => {
+  const [inputValue, setInputValue] = useState("");
+
+  const searchIndex = useMemo(
+    () =>
+      sources.flatMap((source) =>
+        buildSearchIndex(source.events).map((entry) => ({ ...entry, source }))
+      ),
+    [sources]
+  );
+
+  // With no query, list every event chronologically
+  const defaultOptions = useMemo(
+    () =>
+      searchIndex
+        .map((entry) => toOption(entry))
+        .sort((a, b) => compareByDate(a.event, b.event)),
+    [searchIndex]
+  );
+
+  const options = useMemo(() => {
+    if (inputValue.trim() === "") return defaultOptions;
+    return searchEvents(searchIndex, inputValue).map((result) =>
+      toOption(result.entry, result.matchedWords)
+    );
+  }, [searchIndex, defaultOptions, inputValue]);
+
+  return (
+    <Select
+      value={value}
+      onChange={onChange}
+      inputValue={inputValue}
+      onInputChange={(newValue, { action }) => {
+        // Keep the query when the menu closes or an option is picked
+        if (action === "input-change" || action === "set-value") {
+          const query = action === "set-value" ? "" : newValue;
+          setInputValue(query);
+          onQueryChange?.(query);
+        }
+      }}
+      options={options}
+      // Options are already filtered and ranked by the search index
+      filterOption={null}
+      isDisabled={isDisabled}
+      placeholder="Search events... (try group:Press or 1857..1885)"
+      noOptionsMessage={() => "No matching events"}
+      isClearable
+      className="event-search"
+      formatOptionLabel={(option, { context }) =>
+        context === "value" ? (
+          option.label
+        ) : (
+          <div
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              minWidth: 0,
+            }}
+          >
+            <span
+              style={{
+                fontWeight: 600,
+                color: "#1e293b",
+                fontSize: "1rem",
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                minWidth: 0,
+              }}
+            >
+              {option.date} -{" "}
+              <Highlighted
+                text={option.headline}
+                matchedWords={option.matchedWords}
+              />
+              {showSource && (
+                <span className="search-source">{option.datasetLabel}</span>
+              )}
+            </span>
+            {option.text && (
+              <span
+                style={{
+                  color: "#64748b",
+                  fontSize: "0.92rem",
+                  whiteSpace: "nowrap",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  minWidth: 0,
+                  marginTop: 2,
+                }}
+              >
+                <Highlighted
+                  text={option.text}
+                  matchedWords={option.matchedWords}
+                />
+              </span>
+            )}
+          </div>
+        )
+      }
+      styles={{
+        control: (base) => ({
+          ...base,
+          minWidth: "300px",
+          backgroundColor: "#f8fafc",
+          borderColor: "#e2e8f0",
+          boxShadow: "none",
+          "&:hover": {
+            borderColor: "#94a3b8",
+          },
+        }),
+        menu: (base) => ({
+          ...base,
+          zIndex: 9999,
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.1)",
+          border: "1px solid #e2e8f0",
+          borderRadius: "8px",
+          overflow: "hidden",
+        }),
+        option: (base, state) => ({
+          ...base,
+          alignItems: "flex-start",
+          backgroundColor: state.isSelected
+            ? "#3b82f6"
+            : state.isFocused
+            ? "#f1f5f9"
+            : "white",
+          color: state.isSelected ? "white" : "#1e293b",
+          cursor: "pointer",
+          paddingTop: 8,
+          paddingBottom: 8,
+          minHeight: "unset",
+          "&:hover": {
+            backgroundColor: state.isSelected ? "#3b82f6" : "#f1f5f9",
+          },
+        }),
+        input: (base) => ({
+          ...base,
+          color: "#1e293b",
+        }),
+        placeholder: (base) => ({
+          ...base,
+          color: "#94a3b8",
+        }),
+      }}
+    />
+  );
+};
+
+export default EventSearch;
@@ -0,0 +1,238 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { FormControlLabel, Switch, Typography } from "@mui/material";
+import {
+  ArrowDownward,
+  ArrowUpward,
+  ChevronRight,
+  ExpandMore,
+} from "@mui/icons-material";
+import { SORT_COLUMNS, sortEvents, buildTableRows } from "./eventTable";
+import { toPlainText } from "./richText";
+import { formatEventDate } from "./timelineScale";
+
+// Every row has the same height, so only the visible ones need rendering
+const ROW_HEIGHT = 36;
+// Rows rendered above and below the visible ones, to avoid flicker
+const OVERSCAN = 10;
+
+const COLUMNS = [
+  { id: SORT_COLUMNS.DATE, label: "Date" },
+  { id: SORT_COLUMNS.HEADLINE, label: "Headline" },
+  { id: SORT_COLUMNS.GROUP, label: "Group" },
+  { id: SORT_COLUMNS.TYPE, label: "Type" },
+  { id: SORT_COLUMNS.TEXT, label: "Text" },
+];
+
+/**
+ * All the events shown as a table, sortable by any column and optionally
+ * split into collapsible sections per group. Only the rows in view are
+ * rendered, so it stays fast with any number of events.
+ * @param {object} props
+ * @param {Array<object>} props.events - The events to list.
+ * @param {string|null} props.currentEventId - Event highlighted and scrolled to on display.
+ * @param {Function} props.onSelect - Called with the ID of the clicked event.
+ */
+const EventTable = ({ events, currentEventId, onSelect }) => {
+  const [sort, setSort] = useState({
+    column: SORT_COLUMNS.DATE,
+    direction: "asc",
+  });
+  const [grouped, setGrouped] = useState(false);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [height, setHeight] = useState(0);
+  const bodyRef = useRef(null);
+  const hasScrolledToCurrent = useRef(false);
+
+  const rows = useMemo(
+    () =>
+      buildTableRows(sortEvents(events, sort.column, sort.direction), {
+        grouped,
+        collapsed,
+      }),
+    [events, sort, grouped, collapsed]
+  );
+
+  useEffect(() => {
+    const element = bodyRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      setHeight(entry.contentRect.height);
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  // Start with the current event in the middle of the view
+  const currentIndex = rows.findIndex(
+    (row) => row.type === "event" && row.event.unique_id === currentEventId
+  );
+  useEffect(() => {
+    if (hasScrolledToCurrent.current || height === 0) return;
+    hasScrolledToCurrent.current = true;
+    if (currentIndex > 0) {
+      bodyRef.current.scrollTop = Math.max(
+        0,
+        currentIndex * ROW_HEIGHT - height / 2
+      );
+    }
+  }, [currentIndex, height]);
+
+  const handleSort = (column) => {
+    setSort((prev) => ({
+      column,
+      direction:
+        prev.column === column && prev.direction === "asc" ? "desc" : "asc",
+    }));
+  };
+
+  const toggleGroup = (group) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(group)) {
+        next.delete(group);
+      } else {
+        next.add(group);
+      }
+      return next;
+    });
+  };
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(
+    rows.length,
+    Math.ceil((scrollTop + height) / ROW_HEIGHT) + OVERSCAN
+  );
+
+  const renderRow = (row, index) => {
+    const style = { top: index * ROW_HEIGHT, height: ROW_HEIGHT };
+    if (row.type === "group") {
+      return (
+        <div
+          key={`group-${row.group}`}
+          className="et-row et-group-row"
+          style={style}
+          role="row"
+          tabIndex={0}
+          aria-expanded={!row.collapsed}
+          onClick={() => toggleGroup(row.group)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" || e.key === " ") {
+              e.preventDefault();
+              toggleGroup(row.group);
+            }
+          }}
+        >
+          {row.collapsed ? (
+            <ChevronRight sx={{ fontSize: "1.1rem" }} />
+          ) : (
+            <ExpandMore sx={{ fontSize: "1.1rem" }} />
+          )}
+          {row.group} <span className="et-group-count">({row.count})</span>
+        </div>
+      );
+    }
+
+    const { event } = row;
+    return (
+      <div
+        key={event.unique_id}
+        className={`et-row et-event-row${
+          event.unique_id === currentEventId ? " et-row-current" : ""
+        }`}
+        style={style}
+        role="row"
+        tabIndex={0}
+        title="Show on the timeline"
+        onClick={() => onSelect(event.unique_id)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") onSelect(event.unique_id);
+        }}
+      >
+        <span className="et-cell et-date" role="cell">
+          {formatEventDate(event)}
+        </span>
+        <span className="et-cell et-headline" role="cell">
+          {toPlainText(event.text.headline)}
+        </span>
+        <span className="et-cell" role="cell">
+          {event.group}
+        </span>
+        <span className="et-cell" role="cell">
+          {event.type}
+        </span>
+        <span className="et-cell et-text" role="cell">
+          {toPlainText(event.text.text)}
+        </span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="event-table" role="table" aria-rowcount={rows.length}>
+      <div className="et-toolbar">
+        <Typography variant="body2" color="textSecondary">
+          {events.length} events
+        </Typography>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={grouped}
+              onChange={(e) => setGrouped(e.target.checked)}
+              size="small"
+            />
+          }
+          label="Group by group"
+          slotProps={{ typography: { variant: "body2" } }}
+        />
+      </div>
+      <div className="et-row et-header" role="row">
+        {COLUMNS.map((column) => (
+          <button
+            key={column.id}
+            type="button"
+            className="et-cell et-header-cell"
+            role="columnheader"
+            aria-sort={
+              sort.column === column.id
+                ? sort.direction === "asc"
+                  ? "ascending"
+                  : "descending"
+                : "none"
+            }
+            onClick={() => handleSort(column.id)}
+          >
+            {column.label}
+            {sort.column === column.id &&
+              (sort.direction === "asc" ? (
+                <ArrowUpward sx={{ fontSize: "0.9rem" }} />
+              ) : (
+                <ArrowDownward sx={{ fontSize: "0.9rem" }} />
+              ))}
+          </button>
+        ))}
+      </div>
+      <div
+        ref={bodyRef}
+        className="et-body"
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        {events.length === 0 ? (
+          <Typography color="textSecondary" align="center" sx={{ mt: 4 }}>
+            No events match the search
+          </Typography>
+        ) : (
+          <div
+            className="et-spacer"
+            style={{ height: rows.length * ROW_HEIGHT }}
+          >
+            {rows
+              .slice(first, last)
+              .map((row, offset) => renderRow(row, first + offset))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EventTable;
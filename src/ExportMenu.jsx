@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import {
+  IconButton,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Tooltip,
+} from "@mui/material";
+import { FileDownload } from "@mui/icons-material";
+import {
+  EXPORT_FORMATS,
+  toMarkdown,
+  toTimelineJson,
+  toCsv,
+  toIcs,
+  downloadFile,
+} from "./exportEvents";
+
+const MENU_ITEMS = [
+  {
+    format: EXPORT_FORMATS.MARKDOWN_BY_DECADE,
+    label: "Markdown by decade",
+    hint: "Revision notes, one section per decade",
+  },
+  {
+    format: EXPORT_FORMATS.MARKDOWN_BY_GROUP,
+    label: "Markdown by group",
+    hint: "Revision notes, one section per group",
+  },
+  {
+    format: EXPORT_FORMATS.JSON,
+    label: "TimelineJS JSON",
+    hint: "Loadable by TimelineJS",
+  },
+  {
+    format: EXPORT_FORMATS.CSV,
+    label: "CSV",
+    hint: "Pipe-delimited, in the dataset format",
+  },
+  {
+    format: EXPORT_FORMATS.ICS,
+    label: "iCalendar",
+    hint: "Events with a full date, for calendar apps",
+  },
+];
+
+/**
+ * Menu exporting the events currently shown (after group and search
+ * filtering) to a file.
+ * @param {object} props
+ * @param {object} props.dataset - The dataset being shown ({ id, label }).
+ * @param {object|null} props.timeline - The dataset's TimelineJS JSON.
+ * @param {Array<object>} props.events - The events to export.
+ */
+const ExportMenu = ({ dataset, timeline, events }) => {
+  const [anchor, setAnchor] = useState(null);
+
+  const handleExport = (format) => {
+    setAnchor(null);
+    const fileName = `${dataset.id}-events`;
+
+    switch (format) {
+      case EXPORT_FORMATS.MARKDOWN_BY_DECADE:
+      case EXPORT_FORMATS.MARKDOWN_BY_GROUP:
+        downloadFile(
+          `${fileName}.md`,
+          toMarkdown(events, {
+            title: dataset.label,
+            groupBy:
+              format === EXPORT_FORMATS.MARKDOWN_BY_GROUP ? "group" : "decade",
+          }),
+          "text/markdown"
+        );
+        break;
+      case EXPORT_FORMATS.JSON:
+        downloadFile(
+          `${fileName}.json`,
+          toTimelineJson(timeline, events),
+          "application/json"
+        );
+        break;
+      case EXPORT_FORMATS.CSV:
+        downloadFile(
+          `${fileName}.csv`,
+          toCsv(events, timeline.eras),
+          "text/csv"
+        );
+        break;
+      case EXPORT_FORMATS.ICS: {
+        const { content, count } = toIcs(events, {
+          title: dataset.label,
+          uidDomain: `${dataset.id}.${window.location.hostname || "timeline"}`,
+        });
+        if (count === 0) {
+          window.alert(
+            "None of these events has a full date (day, month and year), so there is nothing to add to a calendar."
+          );
+          return;
+        }
+        downloadFile(`${fileName}.ics`, content, "text/calendar");
+        break;
+      }
+      default:
+        console.error(`Unknown export format: ${format}`);
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Export the events shown">
+        <IconButton
+          onClick={(event) => setAnchor(event.currentTarget)}
+          disabled={!timeline || events.length === 0}
+          size="small"
+        >
+          <FileDownload sx={{ fontSize: "1.2rem" }} />
+        </IconButton>
+      </Tooltip>
+      <Menu
+        anchorEl={anchor}
+        open={Boolean(anchor)}
+        onClose={() => setAnchor(null)}
+      >
+        {MENU_ITEMS.map(({ format, label, hint }) => (
+          <MenuItem key={format} onClick={() => handleExport(format)}>
+            <ListItemText
+              primary={label}
+              secondary={hint}
+              slotProps={{ secondary: { variant: "caption" } }}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,326 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Stack,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { UploadFile } from "@mui/icons-material";
+import {
+  DELIMITERS,
+  applyColumnMapping,
+  checkColumnMapping,
+  detectDelimiter,
+  detectHeaderRow,
+  readSampleRows,
+  suggestColumnMapping,
+} from "./csvImport";
+import { CSV_COLUMNS } from "./csvColumns";
+import { compileCsv } from "./compileDataset";
+import { countDiagnostics } from "./csvValidation";
+import { createLocalDatasetId } from "./localDatasets";
+
+// Sample values shown for each column
+const SAMPLES_PER_COLUMN = 3;
+
+// The label of a timeline loaded from a file, e.g. "my-events.csv"
+const labelFromFileName = (fileName) =>
+  fileName.replace(/\.[^.]+$/, "").replace(/[-_]+/g, " ");
+
+/**
+ * Loads a timeline from the user's own CSV, dropped, picked or pasted. The
+ * delimiter, header row and meaning of each column are guessed, then shown
+ * for the user to correct before the timeline is added.
+ * @param {object} props
+ * @param {Function} props.onAdd - Called with the timeline to store (see
+ *   localDatasets.js); returns a promise, rejected if it can't be stored.
+ * @param {Function} props.onClose - Called when the dialog is closed.
+ */
+const LoadDatasetDialog = ({ onAdd, onClose }) => {
+  // The CSV read: { text, fileName }
+  const [source, setSource] = useState(null);
+  const [pastedText, setPastedText] = useState("");
+  const [label, setLabel] = useState("");
+  const [delimiter, setDelimiter] = useState(",");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const sampleRows = useMemo(
+    () => (source ? readSampleRows(source.text, delimiter) : []),
+    [source, delimiter]
+  );
+
+  // Guesses the format of a newly read CSV
+  const readSource = (text, fileName) => {
+    if (text.trim() === "") {
+      setError("There is no data to load.");
+      return;
+    }
+    const detectedDelimiter = detectDelimiter(text);
+    const rows = readSampleRows(text, detectedDelimiter);
+    const detectedHeader = detectHeaderRow(rows);
+    setSource({ text, fileName });
+    setLabel(labelFromFileName(fileName));
+    setDelimiter(detectedDelimiter);
+    setHasHeader(detectedHeader);
+    setMapping(suggestColumnMapping(rows, detectedHeader));
+    setError(null);
+  };
+
+  const readFile = (file) => {
+    if (!file) return;
+    file
+      .text()
+      .then((text) => readSource(text, file.name))
+      .catch((readError) => {
+        console.error("Error reading CSV file:", readError);
+        setError(`${file.name} could not be read.`);
+      });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    readFile(e.dataTransfer.files[0]);
+  };
+
+  // Changing how the CSV is read invalidates the suggested columns
+  const handleDelimiterChange = (value) => {
+    setDelimiter(value);
+    setMapping(
+      suggestColumnMapping(readSampleRows(source.text, value), hasHeader)
+    );
+  };
+
+  const handleHeaderChange = (value) => {
+    setHasHeader(value);
+    setMapping(suggestColumnMapping(sampleRows, value));
+  };
+
+  const problems = useMemo(() => checkColumnMapping(mapping), [mapping]);
+  const csv = useMemo(
+    () =>
+      source && problems.length === 0
+        ? applyColumnMapping(source.text, { delimiter, hasHeader, mapping })
+        : null,
+    [source, delimiter, hasHeader, mapping, problems]
+  );
+  const compiled = useMemo(
+    () => (csv ? compileCsv(csv, { delimiter }) : null),
+    [csv, delimiter]
+  );
+  const counts = countDiagnostics(compiled?.diagnostics || []);
+
+  const handleAdd = () => {
+    setIsSaving(true);
+    onAdd({
+      id: createLocalDatasetId(),
+      label: label.trim() || labelFromFileName(source.fileName),
+      fileName: source.fileName,
+      delimiter,
+      csv,
+      addedAt: new Date().toISOString(),
+    }).catch((saveError) => {
+      console.error("Error saving local dataset:", saveError);
+      setError("The timeline could not be saved in this browser.");
+      setIsSaving(false);
+    });
+  };
+
+  const width = mapping.length;
+  const headerRow = hasHeader ? sampleRows[0] : null;
+  const dataRows = hasHeader ? sampleRows.slice(1) : sampleRows;
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Load your own timeline
+        <Typography variant="body2" color="textSecondary">
+          A CSV with a Year and a Headline for each event. It is kept in this
+          browser until you remove it.
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {!source ? (
+          <Stack spacing={2}>
+            <div
+              className={`load-dataset-drop${
+                isDragging ? " load-dataset-dragging" : ""
+              }`}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+              }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+            >
+              <UploadFile color="action" />
+              <Typography variant="body2">Drop a CSV file here, or</Typography>
+              <Button
+                size="small"
+                variant="outlined"
+                onClick={() => fileInput.current.click()}
+              >
+                Choose a file
+              </Button>
+              <input
+                ref={fileInput}
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+                hidden
+                onChange={(e) => readFile(e.target.files[0])}
+              />
+            </div>
+            <TextField
+              label="Or paste the CSV"
+              value={pastedText}
+              onChange={(e) => setPastedText(e.target.value)}
+              multiline
+              minRows={4}
+              maxRows={10}
+              slotProps={{ htmlInput: { spellCheck: false } }}
+            />
+            <div>
+              <Button
+                variant="outlined"
+                size="small"
+                disabled={pastedText.trim() === ""}
+                onClick={() => readSource(pastedText, "pasted-timeline.csv")}
+              >
+                Use pasted text
+              </Button>
+            </div>
+          </Stack>
+        ) : (
+          <Stack spacing={2}>
+            <TextField
+              label="Timeline name"
+              size="small"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+            />
+            <Stack direction="row" spacing={2} alignItems="center">
+              <TextField
+                select
+                label="Delimiter"
+                size="small"
+                value={delimiter}
+                onChange={(e) => handleDelimiterChange(e.target.value)}
+                slotProps={{ select: { native: true } }}
+              >
+                {Object.entries(DELIMITERS).map(([value, name]) => (
+                  <option key={value} value={value}>
+                    {name}
+                  </option>
+                ))}
+              </TextField>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={hasHeader}
+                    onChange={(e) => handleHeaderChange(e.target.checked)}
+                  />
+                }
+                label="The first row names the columns"
+              />
+            </Stack>
+            <div className="load-dataset-columns">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Column</th>
+                    <th>Sample values</th>
+                    <th>Used as</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Array.from({ length: width }, (value, index) => (
+                    <tr key={index}>
+                      <td>{headerRow?.[index] || `Column ${index + 1}`}</td>
+                      <td className="load-dataset-samples">
+                        {dataRows
+                          .map((row) => row[index]?.trim())
+                          .filter(Boolean)
+                          .slice(0, SAMPLES_PER_COLUMN)
+                          .join(" · ")}
+                      </td>
+                      <td>
+                        <select
+                          value={mapping[index] || ""}
+                          aria-label={`Use of column ${index + 1}`}
+                          onChange={(e) =>
+                            setMapping((prev) =>
+                              prev.map((column, position) =>
+                                position === index
+                                  ? e.target.value || null
+                                  : column
+                              )
+                            )
+                          }
+                        >
+                          <option value="">Leave out</option>
+                          {Object.keys(CSV_COLUMNS).map((column) => (
+                            <option key={column} value={column}>
+                              {column}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {problems.map((problem) => (
+              <Alert key={problem} severity="warning">
+                {problem}
+              </Alert>
+            ))}
+            {compiled && (
+              <Alert severity={compiled.error ? "error" : "info"}>
+                {compiled.error ||
+                  `${compiled.timeline.events.length} events, ` +
+                    `${counts.errors} errors and ${counts.warnings} ` +
+                    "warnings. Data issues can be reviewed once the " +
+                    "timeline is added."}
+              </Alert>
+            )}
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {source && (
+          <Button onClick={() => setSource(null)} disabled={isSaving}>
+            Back
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleAdd}
+          disabled={!compiled?.timeline || isSaving}
+        >
+          Add timeline
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LoadDatasetDialog;
@@ -0,0 +1,226 @@
+import React, {
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { IconButton } from "@mui/material";
+import { ChevronLeft, ChevronRight } from "@mui/icons-material";
+import TimeNavigator from "./TimeNavigator";
+import RelatedLinks from "./RelatedLinks";
+import { compareByDate } from "./chronology";
+import { formatEventDate } from "./timelineScale";
+import { toPlainText } from "./richText";
+
+const IMAGE_URL = /\.(jpe?g|png|gif|webp|svg|avif)(\?.*)?$/i;
+const YOUTUBE_URL =
+  /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([\w-]{11})/;
+
+// Media of a slide: images and YouTube videos are embedded, anything else linked
+const SlideMedia = ({ media }) => {
+  const youtubeId = media.url.match(YOUTUBE_URL)?.[1];
+  let content;
+  if (youtubeId) {
+    content = (
+      <iframe
+        src={`https://www.youtube-nocookie.com/embed/${youtubeId}`}
+        title={toPlainText(media.title) || media.alt || "Video"}
+        allowFullScreen
+      />
+    );
+  } else if (
+    IMAGE_URL.test(media.url) ||
+    media.url.startsWith("data:image/")
+  ) {
+    content = <img src={media.url} alt={media.alt || ""} loading="lazy" />;
+  } else {
+    content = (
+      <a href={media.url} target="_blank" rel="noopener noreferrer">
+        {toPlainText(media.title) || media.url}
+      </a>
+    );
+  }
+
+  return (
+    <figure className="nt-media">
+      {media.link ? (
+        <a
+          href={media.link}
+          target={media.link_target || "_blank"}
+          rel="noopener noreferrer"
+        >
+          {content}
+        </a>
+      ) : (
+        content
+      )}
+      {media.credit && (
+        <div
+          className="nt-media-credit"
+          dangerouslySetInnerHTML={{ __html: media.credit }}
+        />
+      )}
+      {media.caption && (
+        <figcaption dangerouslySetInnerHTML={{ __html: media.caption }} />
+      )}
+    </figure>
+  );
+};
+
+// A CSS url(), with the characters that could end it escaped
+const cssUrl = (url) =>
+  `url("${url.replace(
+    /["\\\n\r]/g,
+    (char) => `\\${char.charCodeAt(0).toString(16)} `
+  )}")`;
+
+const backgroundStyle = (background) =>
+  background
+    ? {
+        backgroundColor: background.color,
+        backgroundImage: background.url ? cssUrl(background.url) : undefined,
+      }
+    : undefined;
+
+/**
+ * Timeline renderer built with React, taking the same JSON as TimelineJS
+ * (see processCsvData): a slide per event with its media and text, and a time
+ * navigator with a row per group. Events are sorted by date and negative
+ * (BCE) years are supported at any depth.
+ *
+ * Shares its interface with TimelineJsTimeline so either can be used.
+ * @param {object} props
+ * @param {object} props.data - TimelineJS JSON: { title, events, eras }.
+ * @param {object} props.options - Timeline options (see getTimelineOptions);
+ *   `timenav_height` and `scale_factor` are used.
+ * @param {object} [props.notes] - Personal notes keyed by event ID, shown under the slide text.
+ * @param {object} [props.related] - Links to and from other events keyed by event ID
+ *   (see getRelatedLinks), shown under the slide text.
+ * @param {Function} [props.onOpenRelated] - Called with the clicked link.
+ * @param {Set<string>|null} [props.highlightedIds] - Events to highlight in the navigator.
+ * @param {Function} props.onChange - Called with the unique_id of the event shown.
+ * @param {object} props.ref - Receives { goToId(uniqueId) }.
+ */
+const NativeTimeline = ({
+  data,
+  options,
+  notes = {},
+  related = {},
+  onOpenRelated,
+  highlightedIds = null,
+  onChange,
+  ref,
+}) => {
+  const events = useMemo(
+    () => [...data.events].sort(compareByDate),
+    [data.events]
+  );
+  // The title slide comes first, as in TimelineJS
+  const slides = useMemo(
+    () => (data.title ? [{ ...data.title, isTitle: true }, ...events] : events),
+    [data.title, events]
+  );
+  const [currentId, setCurrentId] = useState(null);
+  const foundIndex = slides.findIndex(
+    (slide) => !slide.isTitle && slide.unique_id === currentId
+  );
+  const index = Math.max(foundIndex, 0);
+  const slide = slides[index];
+  const shownId = slide && !slide.isTitle ? slide.unique_id : null;
+
+  useImperativeHandle(ref, () => ({
+    goToId: (uniqueId) => setCurrentId(uniqueId),
+  }));
+
+  // Report the event shown; kept in a ref so a new handler isn't a change
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  useEffect(() => {
+    if (shownId) onChangeRef.current(shownId);
+  }, [shownId]);
+
+  const goTo = (newIndex) => {
+    const target = slides[newIndex];
+    if (target) setCurrentId(target.isTitle ? null : target.unique_id);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.target.closest("input, textarea, select")) return;
+    if (e.key === "ArrowLeft") goTo(index - 1);
+    if (e.key === "ArrowRight") goTo(index + 1);
+  };
+
+  if (!slide) return null;
+  const previous = slides[index - 1];
+  const next = slides[index + 1];
+  const note = shownId && notes[shownId];
+
+  return (
+    <div className="nt" tabIndex={0} onKeyDown={handleKeyDown}>
+      <div className="nt-slide" style={backgroundStyle(slide.background)}>
+        <IconButton
+          className="nt-nav nt-nav-previous"
+          onClick={() => goTo(index - 1)}
+          disabled={!previous}
+          aria-label="Previous event"
+        >
+          <ChevronLeft />
+        </IconButton>
+        <div
+          className={
+            slide.media
+              ? "nt-slide-content"
+              : "nt-slide-content nt-slide-text-only"
+          }
+        >
+          {slide.media && <SlideMedia media={slide.media} />}
+          <div className="nt-text">
+            {!slide.isTitle && (
+              <div className="nt-date">{formatEventDate(slide)}</div>
+            )}
+            {/* Headlines and texts are sanitized when compiled */}
+            <h2
+              className="nt-headline"
+              dangerouslySetInnerHTML={{ __html: slide.text?.headline }}
+            />
+            {slide.text?.text && (
+              <div
+                className="nt-body"
+                dangerouslySetInnerHTML={{ __html: slide.text.text }}
+              />
+            )}
+            {note && (
+              <div className="slide-note">
+                <strong>My note: </strong>
+                {note}
+              </div>
+            )}
+            {shownId && (
+              <RelatedLinks links={related[shownId]} onOpen={onOpenRelated} />
+            )}
+          </div>
+        </div>
+        <IconButton
+          className="nt-nav nt-nav-next"
+          onClick={() => goTo(index + 1)}
+          disabled={!next}
+          aria-label="Next event"
+        >
+          <ChevronRight />
+        </IconButton>
+      </div>
+      <TimeNavigator
+        events={events}
+        eras={data.eras}
+        currentId={shownId}
+        highlightedIds={highlightedIds}
+        scaleFactor={options.scale_factor}
+        height={options.timenav_height + 60}
+        onSelect={setCurrentId}
+      />
+    </div>
+  );
+};
+
+export default NativeTimeline;
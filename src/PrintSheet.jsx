@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  Button,
+  FormControlLabel,
+  Switch,
+  ToggleButton,
+  ToggleButtonGroup,
+} from "@mui/material";
+import { Close, Print } from "@mui/icons-material";
+import {
+  buildSheetSections,
+  shortenText,
+  SHEET_GROUPINGS,
+} from "./revisionSheet";
+import { toPlainText } from "./richText";
+import { formatEventDate } from "./timelineScale";
+
+// Length of the event text on the sheet
+const SHORT_TEXT_LENGTH = 160;
+
+const LAYOUTS = {
+  TABLE: "table",
+  COLUMNS: "columns",
+};
+
+/**
+ * Printable chronology of the events shown, as a compact table or a
+ * multi-column list. It covers the page on screen; when printing, the print
+ * stylesheet hides the rest of the app so only the sheet is printed.
+ * @param {object} props
+ * @param {string} props.datasetLabel - Label of the dataset being shown.
+ * @param {Array<object>} props.events - The events to print.
+ * @param {Array<string>} props.groups - The groups included.
+ * @param {boolean} props.allGroups - Whether every group of the dataset is included.
+ * @param {boolean} props.bookmarked - Whether bookmarked events are included.
+ * @param {{ from?: number, to?: number }|null} props.yearRange - The year filter.
+ * @param {Function} props.onClose - Called when the sheet is dismissed.
+ */
+const PrintSheet = ({
+  datasetLabel,
+  events,
+  groups,
+  allGroups,
+  bookmarked,
+  yearRange,
+  onClose,
+}) => {
+  const [layout, setLayout] = useState(LAYOUTS.TABLE);
+  const [grouping, setGrouping] = useState(SHEET_GROUPINGS.NONE);
+  const [showText, setShowText] = useState(true);
+
+  // Close with Escape, like the dialogs
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const sections = buildSheetSections(events, grouping);
+  const includedGroups = [
+    ...(allGroups ? ["All groups"] : groups),
+    ...(bookmarked ? ["Bookmarked events"] : []),
+  ];
+
+  const renderEvents = (sectionEvents) =>
+    layout === LAYOUTS.TABLE ? (
+      <table className="print-sheet-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Event</th>
+            {grouping !== SHEET_GROUPINGS.GROUP && <th>Group</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {sectionEvents.map((event) => (
+            <tr key={event.unique_id}>
+              <td className="print-sheet-date">{formatEventDate(event)}</td>
+              <td>
+                <strong>{toPlainText(event.text.headline)}</strong>
+                {showText && event.text.text && (
+                  <div className="print-sheet-text">
+                    {shortenText(event.text.text, SHORT_TEXT_LENGTH)}
+                  </div>
+                )}
+              </td>
+              {grouping !== SHEET_GROUPINGS.GROUP && (
+                <td className="print-sheet-group">{event.group}</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <ol className="print-sheet-list">
+        {sectionEvents.map((event) => (
+          <li key={event.unique_id}>
+            <span className="print-sheet-date">{formatEventDate(event)}</span>{" "}
+            <strong>{toPlainText(event.text.headline)}</strong>
+            {grouping !== SHEET_GROUPINGS.GROUP && (
+              <span className="print-sheet-group"> ({event.group})</span>
+            )}
+            {showText && event.text.text && (
+              <div className="print-sheet-text">
+                {shortenText(event.text.text, SHORT_TEXT_LENGTH)}
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    );
+
+  return createPortal(
+    <div className="print-sheet" role="dialog" aria-label="Revision sheet">
+      <div className="print-sheet-controls">
+        <ToggleButtonGroup
+          value={layout}
+          exclusive
+          onChange={(e, value) => value && setLayout(value)}
+          size="small"
+        >
+          <ToggleButton value={LAYOUTS.TABLE}>Table</ToggleButton>
+          <ToggleButton value={LAYOUTS.COLUMNS}>Columns</ToggleButton>
+        </ToggleButtonGroup>
+        <ToggleButtonGroup
+          value={grouping}
+          exclusive
+          onChange={(e, value) => value && setGrouping(value)}
+          size="small"
+        >
+          <ToggleButton value={SHEET_GROUPINGS.NONE}>
+            Chronological
+          </ToggleButton>
+          <ToggleButton value={SHEET_GROUPINGS.GROUP}>By group</ToggleButton>
+          <ToggleButton value={SHEET_GROUPINGS.CENTURY}>
+            By century
+          </ToggleButton>
+        </ToggleButtonGroup>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={showText}
+              onChange={(e) => setShowText(e.target.checked)}
+              size="small"
+            />
+          }
+          label="Descriptions"
+        />
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={<Print />}
+          onClick={() => window.print()}
+        >
+          Print
+        </Button>
+        <Button size="small" startIcon={<Close />} onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <header className="print-sheet-header">
+        <h1>{datasetLabel}</h1>
+        <p>
+          <strong>Groups:</strong> {includedGroups.join(", ") || "None"}
+          {yearRange && (
+            <>
+              {" · "}
+              <strong>Years:</strong> {yearRange.from ?? "…"}–
+              {yearRange.to ?? "…"}
+            </>
+          )}
+          {" · "}
+          {events.length} events · {new Date().toLocaleDateString()}
+        </p>
+      </header>
+
+      {events.length === 0 ? (
+        <p>No events match the current filters.</p>
+      ) : (
+        sections.map((section) => (
+          <section
+            key={section.title || "all"}
+            className={`print-sheet-section print-sheet-by-${grouping}`}
+          >
+            {section.title && <h2>{section.title}</h2>}
+            {renderEvents(section.events)}
+          </section>
+        ))
+      )}
+    </div>,
+    document.body
+  );
+};
+
+export default PrintSheet;
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  Typography,
+} from "@mui/material";
+import { CheckCircle, Cancel } from "@mui/icons-material";
+import { createQuestion, findOfficeHolders } from "./quiz";
+import {
+  loadProgress,
+  pickEventsToReview,
+  recordAnswer,
+  saveProgress,
+} from "./spacedRepetition";
+
+const QUESTIONS_PER_QUIZ = 10;
+
+// Builds a quiz over the events due for review
+const createQuiz = (dataset, events, allEvents) => {
+  const officeConfig = dataset.quiz?.officeHolders;
+  const context = {
+    events,
+    officeHolders: findOfficeHolders(allEvents, officeConfig),
+    officeTitle: officeConfig?.title,
+  };
+  return pickEventsToReview(
+    events,
+    loadProgress(dataset),
+    QUESTIONS_PER_QUIZ
+  ).map((event) => createQuestion(event, context));
+};
+
+/**
+ * Multiple-choice quiz over the events of the active groups. Answers feed the
+ * spaced repetition scheduler so weak events come back in later quizzes.
+ * @param {object} props
+ * @param {object} props.dataset - The dataset manifest entry.
+ * @param {Array<object>} props.events - Events of the active groups.
+ * @param {Array<object>} props.allEvents - Every event of the dataset.
+ * @param {Function} props.onShowEvent - Called with an event ID to show it on the timeline.
+ * @param {Function} props.onClose - Called when the quiz is closed.
+ */
+const QuizDialog = ({ dataset, events, allEvents, onShowEvent, onClose }) => {
+  const [questions, setQuestions] = useState(() =>
+    createQuiz(dataset, events, allEvents)
+  );
+  const [answers, setAnswers] = useState([]);
+
+  const current = questions[answers.length];
+  const currentAnswer = answers.length > 0 ? answers[answers.length - 1] : null;
+  // The last answered question stays on screen until "Next" is pressed
+  const [isReviewing, setIsReviewing] = useState(false);
+  const shownQuestion = isReviewing ? currentAnswer.question : current;
+  const isFinished = !isReviewing && !current;
+
+  const handleAnswer = (choice) => {
+    const isCorrect = choice === current.answer;
+    saveProgress(
+      dataset,
+      recordAnswer(loadProgress(dataset), current.eventId, isCorrect)
+    );
+    setAnswers((prev) => [...prev, { question: current, choice, isCorrect }]);
+    setIsReviewing(true);
+  };
+
+  const handleRestart = () => {
+    setQuestions(createQuiz(dataset, events, allEvents));
+    setAnswers([]);
+    setIsReviewing(false);
+  };
+
+  const score = answers.filter((answer) => answer.isCorrect).length;
+
+  const choiceColor = (choice) => {
+    if (!isReviewing) return "primary";
+    if (choice === shownQuestion.answer) return "success";
+    if (choice === currentAnswer.choice) return "error";
+    return "inherit";
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        Quiz: {dataset.label}
+        {!isFinished && questions.length > 0 && (
+          <Typography variant="body2" color="textSecondary">
+            Question {answers.length + (isReviewing ? 0 : 1)} of{" "}
+            {questions.length}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent dividers>
+        {questions.length === 0 && (
+          <Typography color="textSecondary">
+            Please select at least one group to start a quiz.
+          </Typography>
+        )}
+        {shownQuestion && (
+          <Stack spacing={1}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+              {shownQuestion.prompt}
+            </Typography>
+            {shownQuestion.choices.map((choice) => (
+              <Button
+                key={choice}
+                variant={
+                  isReviewing &&
+                  (choice === shownQuestion.answer ||
+                    choice === currentAnswer.choice)
+                    ? "contained"
+                    : "outlined"
+                }
+                color={choiceColor(choice)}
+                onClick={() => !isReviewing && handleAnswer(choice)}
+                sx={{ justifyContent: "flex-start", textTransform: "none" }}
+              >
+                {choice}
+              </Button>
+            ))}
+          </Stack>
+        )}
+        {isFinished && questions.length > 0 && (
+          <Stack spacing={1}>
+            <Typography variant="h6">
+              You scored {score} out of {questions.length}
+            </Typography>
+            {answers.map(({ question, choice, isCorrect }, index) => (
+              <Stack
+                key={index}
+                direction="row"
+                spacing={1}
+                alignItems="flex-start"
+              >
+                {isCorrect ? (
+                  <CheckCircle color="success" sx={{ fontSize: "1.1rem" }} />
+                ) : (
+                  <Cancel color="error" sx={{ fontSize: "1.1rem" }} />
+                )}
+                <div style={{ flex: 1 }}>
+                  <Typography variant="body2">{question.prompt}</Typography>
+                  <Typography variant="body2" color="textSecondary">
+                    {isCorrect
+                      ? question.answer
+                      : `Your answer: ${choice}. Correct: ${question.answer}`}
+                  </Typography>
+                </div>
+                <Button
+                  size="small"
+                  onClick={() => onShowEvent(question.eventId)}
+                  sx={{ textTransform: "none", flexShrink: 0 }}
+                >
+                  Show on timeline
+                </Button>
+              </Stack>
+            ))}
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {isReviewing && (
+          <Button variant="contained" onClick={() => setIsReviewing(false)}>
+            {current ? "Next" : "See results"}
+          </Button>
+        )}
+        {isFinished && questions.length > 0 && (
+          <Button onClick={handleRestart}>New quiz</Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QuizDialog;
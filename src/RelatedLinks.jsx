@@ -0,0 +1,69 @@
+import React from "react";
+
+/**
+ * One list of links under a slide, e.g. the related events.
+ * @param {object} props
+ * @param {string} props.label - Heading of the list.
+ * @param {Array<object>} props.links - Links from getRelatedLinks.
+ * @param {Function} props.onOpen - Called with the clicked link.
+ */
+const LinkList = ({ label, links, onOpen }) => (
+  <div className="related-list">
+    <strong>{label}: </strong>
+    {links.map((link) => {
+      const text = link.isOtherDataset
+        ? `${link.headline} (${link.datasetLabel})`
+        : link.headline;
+      return link.isEra ? (
+        // Eras aren't slides, so there is nothing to navigate to
+        <span
+          key={`${link.datasetId}:${link.uniqueId}`}
+          className="related-link related-era"
+          title="Era"
+        >
+          {text}
+        </span>
+      ) : (
+        <button
+          key={`${link.datasetId}:${link.uniqueId}`}
+          type="button"
+          className="related-link"
+          onClick={() => onOpen(link)}
+        >
+          {text}
+        </button>
+      );
+    })}
+  </div>
+);
+
+/**
+ * The events a slide refers to and the events referring to it.
+ * @param {object} props
+ * @param {{ related: Array<object>, referencedBy: Array<object> }} [props.links] -
+ *   The slide's links (see getRelatedLinks).
+ * @param {Function} props.onOpen - Called with the clicked link.
+ */
+const RelatedLinks = ({ links, onOpen }) => {
+  if (!links) return null;
+  return (
+    <div className="related-links">
+      {links.related.length > 0 && (
+        <LinkList
+          label="Related events"
+          links={links.related}
+          onOpen={onOpen}
+        />
+      )}
+      {links.referencedBy.length > 0 && (
+        <LinkList
+          label="Referenced by"
+          links={links.referencedBy}
+          onOpen={onOpen}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RelatedLinks;
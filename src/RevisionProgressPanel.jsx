@@ -0,0 +1,133 @@
+import React from "react";
+import {
+  Button,
+  IconButton,
+  LinearProgress,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import { Close, SkipNext, RestartAlt } from "@mui/icons-material";
+import { compareByDate } from "./chronology";
+import { formatYear } from "./timelineScale";
+import { toPlainText } from "./richText";
+
+// Unvisited events listed at most, to keep the panel short
+const MAX_UNVISITED_LISTED = 50;
+
+/**
+ * Shows how much of each dataset has been seen and revised, and the events of
+ * the active groups not seen yet.
+ * @param {object} props
+ * @param {Array<{ dataset: object, coverage: object }>} props.coverages - Coverage
+ *   per dataset (see computeCoverage).
+ * @param {Array<object>} props.unvisitedEvents - Unvisited events of the active groups.
+ * @param {object} props.dataset - The dataset being shown.
+ * @param {boolean} props.canGoToNext - Whether an unrevised event is left.
+ * @param {Function} props.onNextUnrevised - Called to show the next unrevised event.
+ * @param {Function} props.onSelect - Called with the ID of a selected event.
+ * @param {Function} props.onReset - Called to reset the progress of the dataset.
+ * @param {Function} props.onClose - Called when the panel is dismissed.
+ */
+const RevisionProgressPanel = ({
+  coverages,
+  unvisitedEvents,
+  dataset,
+  canGoToNext,
+  onNextUnrevised,
+  onSelect,
+  onReset,
+  onClose,
+}) => {
+  const listed = [...unvisitedEvents]
+    .sort(compareByDate)
+    .slice(0, MAX_UNVISITED_LISTED);
+
+  return (
+    <div className="revision-panel">
+      <div className="revision-header">
+        <Typography variant="subtitle2" component="h2">
+          Revision progress
+        </Typography>
+        <Tooltip title="Close">
+          <IconButton onClick={onClose} size="small">
+            <Close sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </Tooltip>
+      </div>
+
+      {coverages.map(({ dataset: covered, coverage }) => (
+        <div key={covered.id} className="revision-dataset">
+          <div className="revision-dataset-label">
+            <Typography
+              variant="body2"
+              sx={{ fontWeight: covered.id === dataset.id ? 600 : 400 }}
+            >
+              {covered.label}
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              {coverage.visited} of {coverage.total} seen (
+              {coverage.visitedPercent}%), {coverage.revised} revised
+            </Typography>
+          </div>
+          <LinearProgress
+            variant="buffer"
+            value={coverage.revisedPercent}
+            valueBuffer={coverage.visitedPercent}
+          />
+        </div>
+      ))}
+
+      <div className="revision-actions">
+        <Button
+          size="small"
+          variant="contained"
+          startIcon={<SkipNext />}
+          onClick={onNextUnrevised}
+          disabled={!canGoToNext}
+          sx={{ textTransform: "none" }}
+        >
+          Next unrevised event
+        </Button>
+        <Button
+          size="small"
+          color="error"
+          startIcon={<RestartAlt />}
+          onClick={onReset}
+          sx={{ textTransform: "none" }}
+        >
+          Reset progress for {dataset.label}
+        </Button>
+      </div>
+
+      {listed.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 1 }}>
+            Not seen yet in the selected groups ({unvisitedEvents.length})
+          </Typography>
+          <Typography variant="caption" color="textSecondary">
+            Their markers are outlined in the timeline&apos;s navigator while
+            this panel is open.
+          </Typography>
+          <ul className="bookmarks-list">
+            {listed.map((event) => (
+              <li key={event.unique_id}>
+                <button
+                  type="button"
+                  className="bookmarks-item"
+                  onClick={() => onSelect(event.unique_id)}
+                >
+                  <span className="bookmarks-year">
+                    {formatYear(event.start_date.year)}
+                  </span>
+                  <span className="bookmarks-text">{toPlainText(event.text.headline)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RevisionProgressPanel;
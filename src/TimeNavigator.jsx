@@ -0,0 +1,335 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { IconButton, Tooltip } from "@mui/material";
+import { Add, Remove, FitScreen } from "@mui/icons-material";
+import {
+  dateToYears,
+  formatEventDate,
+  formatYear,
+  getTicks,
+  getTimeRange,
+} from "./timelineScale";
+import { findEras } from "./eras";
+import { toPlainText } from "./richText";
+
+const ROW_LABEL_WIDTH = 120;
+const LANE_HEIGHT = 22;
+const MAX_LANES = 3;
+// Room taken by a marker's label, used to stack overlapping markers in lanes
+const MARKER_WIDTH = 150;
+const AXIS_HEIGHT = 24;
+// Narrowest visible span, in years
+const MIN_SPAN = 0.5;
+const ZOOM_STEP = 1.5;
+
+// Lays out the markers of a row in lanes so their labels don't overlap
+const layoutRow = (items, minWidth = MARKER_WIDTH) => {
+  const laneEnds = [];
+  return items.map((item) => {
+    let lane = laneEnds.findIndex((end) => end <= item.left);
+    if (lane === -1) {
+      lane = laneEnds.length < MAX_LANES ? laneEnds.length : MAX_LANES - 1;
+    }
+    laneEnds[lane] = item.left + Math.max(item.width, minWidth);
+    return { ...item, lane };
+  });
+};
+
+/**
+ * Zoomable, pannable overview of the events, with a row per group under a row
+ * of eras. Scroll to zoom around the pointer, drag (or shift+scroll) to pan.
+ * @param {object} props
+ * @param {Array<object>} props.events - TimelineJS events.
+ * @param {Array<object>} [props.eras] - TimelineJS eras, shown as bands.
+ * @param {string|null} props.currentId - unique_id of the selected event.
+ * @param {Set<string>|null} props.highlightedIds - Events to highlight.
+ * @param {number} props.scaleFactor - How many widths the events initially span.
+ * @param {number} props.height - Height in pixels.
+ * @param {Function} props.onSelect - Called with the unique_id of a clicked event.
+ */
+const TimeNavigator = ({
+  events,
+  eras = [],
+  currentId,
+  highlightedIds,
+  scaleFactor,
+  height,
+  onSelect,
+}) => {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  const range = useMemo(() => getTimeRange(events), [events]);
+  const fullSpan = (range.end - range.start) * 1.1;
+  const fitView = () => ({
+    start: range.start - (range.end - range.start) * 0.05,
+    span: fullSpan,
+  });
+  // Visible window: { start, span } in fractional years
+  const [view, setView] = useState(() => ({
+    start: range.start,
+    span: fullSpan / Math.max(1, scaleFactor),
+  }));
+
+  const clampSpan = (span) => Math.min(Math.max(span, MIN_SPAN), fullSpan * 2);
+
+  const groups = useMemo(
+    () => [...new Set(events.map((event) => event.group))],
+    [events]
+  );
+
+  // Track the width available to the time axis
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.max(0, entry.contentRect.width - ROW_LABEL_WIDTH));
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const currentEvent = events.find((event) => event.unique_id === currentId);
+  const currentEraIds = useMemo(
+    () =>
+      new Set(
+        currentEvent
+          ? findEras(eras, currentEvent).map((era) => era.unique_id)
+          : []
+      ),
+    [eras, currentEvent]
+  );
+
+  // Bring the selected event into view
+  useEffect(() => {
+    const event = events.find((e) => e.unique_id === currentId);
+    if (!event) return;
+    const position = dateToYears(event.start_date);
+    setView((prev) =>
+      position >= prev.start + prev.span * 0.05 &&
+      position <= prev.start + prev.span * 0.95
+        ? prev
+        : { ...prev, start: position - prev.span / 2 }
+    );
+  }, [currentId, events]);
+
+  const toX = (years) => ((years - view.start) / view.span) * width;
+
+  const zoom = (factor, anchorX = width / 2) => {
+    setView((prev) => {
+      const anchor = prev.start + (anchorX / width) * prev.span;
+      const span = clampSpan(prev.span * factor);
+      return {
+        start: anchor - ((anchor - prev.start) * span) / prev.span,
+        span,
+      };
+    });
+  };
+
+  const handleWheel = (e) => {
+    if (!width) return;
+    e.preventDefault();
+    if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      const delta = e.shiftKey ? e.deltaY : e.deltaX;
+      setView((prev) => ({
+        ...prev,
+        start: prev.start + (delta / width) * prev.span,
+      }));
+      return;
+    }
+    const bounds = e.currentTarget.getBoundingClientRect();
+    zoom(e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - bounds.left);
+  };
+
+  // React wheel listeners are passive, so zooming would scroll the page too
+  const wheelHandler = useRef(handleWheel);
+  wheelHandler.current = handleWheel;
+  useEffect(() => {
+    const element = containerRef.current;
+    const listener = (e) => wheelHandler.current(e);
+    element.addEventListener("wheel", listener, { passive: false });
+    return () => element.removeEventListener("wheel", listener);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || e.target.closest(".tn-marker")) return;
+    dragRef.current = { x: e.clientX, start: view.start };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !width) return;
+    setView((prev) => ({
+      ...prev,
+      start: drag.start - ((e.clientX - drag.x) / width) * prev.span,
+    }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Markers within (or near) the visible window, laid out per group row
+  const rows = groups.map((group) => {
+    const items = events
+      .filter((event) => event.group === group)
+      .map((event) => {
+        const left = toX(dateToYears(event.start_date));
+        const right = event.end_date ? toX(dateToYears(event.end_date)) : left;
+        return { event, left, width: Math.max(right - left, 0) };
+      })
+      .filter((item) => item.left + item.width >= -MARKER_WIDTH)
+      .filter((item) => item.left <= width + MARKER_WIDTH)
+      .sort((a, b) => a.left - b.left);
+    return { group, items: layoutRow(items) };
+  });
+
+  // Era bands within the visible window; labels fit in the bands
+  const eraItems = layoutRow(
+    eras
+      .map((era) => {
+        const left = toX(dateToYears(era.start_date));
+        return { era, left, width: toX(dateToYears(era.end_date)) - left };
+      })
+      .filter((item) => item.left + item.width >= 0 && item.left <= width)
+      .sort((a, b) => a.left - b.left),
+    0
+  );
+  const shadedEras = eraItems.filter(({ era }) =>
+    currentEraIds.has(era.unique_id)
+  );
+
+  const ticks = width
+    ? getTicks(view.start, view.start + view.span, Math.floor(width / 90))
+    : [];
+
+  return (
+    <div className="tn" style={{ height }}>
+      <div className="tn-toolbar">
+        <Tooltip title="Zoom in">
+          <IconButton size="small" onClick={() => zoom(1 / ZOOM_STEP)}>
+            <Add sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Zoom out">
+          <IconButton size="small" onClick={() => zoom(ZOOM_STEP)}>
+            <Remove sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Show everything">
+          <IconButton size="small" onClick={() => setView(fitView())}>
+            <FitScreen sx={{ fontSize: "1rem" }} />
+          </IconButton>
+        </Tooltip>
+      </div>
+      <div
+        ref={containerRef}
+        className="tn-body"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <div className="tn-rows">
+          {eraItems.length > 0 && (
+            <div
+              className="tn-row tn-era-row"
+              style={{
+                height:
+                  LANE_HEIGHT *
+                  Math.max(...eraItems.map((item) => item.lane + 1)),
+              }}
+            >
+              <div className="tn-row-label" style={{ width: ROW_LABEL_WIDTH }}>
+                Eras
+              </div>
+              <div className="tn-row-track" style={{ left: ROW_LABEL_WIDTH }}>
+                {eraItems.map(({ era, left, width: eraWidth, lane }) => (
+                  <div
+                    key={era.unique_id}
+                    className={
+                      currentEraIds.has(era.unique_id)
+                        ? "tn-era tn-era-current"
+                        : "tn-era"
+                    }
+                    style={{
+                      left,
+                      width: Math.max(eraWidth, 2),
+                      top: lane * LANE_HEIGHT,
+                    }}
+                    title={`${toPlainText(era.text.headline)} (${formatEventDate(era)})`}
+                  >
+                    {toPlainText(era.text.headline)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {rows.map(({ group, items }) => (
+            <div
+              key={group}
+              className="tn-row"
+              style={{
+                height:
+                  LANE_HEIGHT *
+                  Math.max(1, ...items.map((item) => item.lane + 1)),
+              }}
+            >
+              <div className="tn-row-label" style={{ width: ROW_LABEL_WIDTH }}>
+                {group}
+              </div>
+              <div className="tn-row-track" style={{ left: ROW_LABEL_WIDTH }}>
+                {shadedEras.map(({ era, left, width: eraWidth }) => (
+                  <div
+                    key={era.unique_id}
+                    className="tn-era-shade"
+                    style={{ left, width: eraWidth }}
+                  />
+                ))}
+                {items.map(({ event, left, width: spanWidth, lane }) => (
+                  <button
+                    type="button"
+                    key={event.unique_id}
+                    className={[
+                      "tn-marker",
+                      event.unique_id === currentId ? "tn-marker-current" : "",
+                      highlightedIds?.has(event.unique_id)
+                        ? "tn-marker-highlighted"
+                        : "",
+                    ].join(" ")}
+                    style={{ left, top: lane * LANE_HEIGHT }}
+                    onClick={() => onSelect(event.unique_id)}
+                    title={toPlainText(event.text.headline)}
+                  >
+                    {spanWidth > 0 && (
+                      <span
+                        className="tn-marker-span"
+                        style={{ width: spanWidth }}
+                      />
+                    )}
+                    <span className="tn-marker-label">
+                      {toPlainText(event.text.headline)}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div
+          className="tn-axis"
+          style={{ marginLeft: ROW_LABEL_WIDTH, height: AXIS_HEIGHT }}
+        >
+          {ticks.map((tick) => (
+            <span key={tick} className="tn-tick" style={{ left: toX(tick) }}>
+              {formatYear(tick)}
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeNavigator;
@@ -0,0 +1,145 @@
+import React, { useEffect, useImperativeHandle, useRef, useState } from "react";
+import { Button, Typography } from "@mui/material";
+import useTimelineJs from "./useTimelineJs";
+import {
+  renderSlideNotes,
+  renderRelatedLinks,
+  highlightMarkers,
+} from "./timelineDom";
+
+/**
+ * Timeline renderer backed by Knight Lab's TimelineJS, loaded from its CDN.
+ * The timeline is built once both the library and the data are there, and
+ * rebuilt whenever the data changes. Shows an error with a retry button if
+ * the library can't be loaded.
+ *
+ * Shares its interface with NativeTimeline so either can be used.
+ * @param {object} props
+ * @param {object} props.data - TimelineJS JSON: { title, events }.
+ * @param {object} props.options - TimelineJS options (see getTimelineOptions).
+ * @param {object} [props.notes] - Personal notes keyed by event ID, shown under the slide text.
+ * @param {object} [props.related] - Links to and from other events keyed by event ID
+ *   (see getRelatedLinks), shown under the slide text.
+ * @param {Function} [props.onOpenRelated] - Called with the clicked link.
+ * @param {Set<string>|null} [props.highlightedIds] - Events to highlight in the navigator.
+ * @param {Function} props.onChange - Called with the unique_id of the event shown.
+ * @param {object} props.ref - Receives { goToId(uniqueId) }.
+ */
+const TimelineJsTimeline = ({
+  data,
+  options,
+  notes = null,
+  related = null,
+  onOpenRelated,
+  highlightedIds = null,
+  onChange,
+  ref,
+}) => {
+  const { status, error, retry } = useTimelineJs();
+  const container = useRef(null);
+  const instance = useRef(null);
+  // Event to show once the timeline is built
+  const pendingId = useRef(null);
+  // The data the built timeline shows, once TimelineJS reports it loaded
+  const [builtData, setBuiltData] = useState(null);
+  const isBuilt = builtData === data;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  const onOpenRelatedRef = useRef(onOpenRelated);
+  onOpenRelatedRef.current = onOpenRelated;
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      goToId: (uniqueId) => {
+        if (isBuilt) {
+          instance.current.goToId(uniqueId);
+        } else {
+          pendingId.current = uniqueId;
+        }
+      },
+    }),
+    [isBuilt]
+  );
+
+  useEffect(() => {
+    if (status !== "ready" || !container.current) return;
+
+    const element = container.current;
+    const timeline = new window.TL.Timeline(element, data, options);
+    instance.current = timeline;
+
+    // Add event listener to track current slide
+    timeline.on("change", (slide) => {
+      if (slide && slide.unique_id) onChangeRef.current(slide.unique_id);
+    });
+
+    // Fired once the slides and the navigator are built
+    timeline.on("loaded", () => {
+      // Additional measure to hide the attribution element
+      element.querySelectorAll(".tl-attribution").forEach((el) => {
+        el.style.display = "none";
+      });
+
+      if (pendingId.current) {
+        timeline.goToId(pendingId.current);
+        pendingId.current = null;
+      }
+      setBuiltData(data);
+    });
+
+    return () => {
+      // Remove the listeners to prevent memory leaks
+      timeline.off("change");
+      timeline.off("loaded");
+      instance.current = null;
+      element.innerHTML = "";
+    };
+  }, [status, data, options]);
+
+  // Decorate the rendered slides and markers
+  useEffect(() => {
+    if (isBuilt) renderSlideNotes(container.current, notes || {});
+  }, [notes, isBuilt]);
+
+  useEffect(() => {
+    if (isBuilt) {
+      renderRelatedLinks(container.current, related || {}, (link) =>
+        onOpenRelatedRef.current(link)
+      );
+    }
+  }, [related, isBuilt]);
+
+  useEffect(() => {
+    if (isBuilt) highlightMarkers(container.current, highlightedIds);
+  }, [highlightedIds, isBuilt]);
+
+  return (
+    <div className="timeline-container-tl">
+      {status === "loading" && (
+        <div className="loading">Loading TimelineJS...</div>
+      )}
+      {status === "failed" && (
+        <div className="error">
+          <p>TimelineJS could not be loaded: {error}</p>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            Please check your connection and try again.
+          </Typography>
+          <Button variant="contained" size="small" onClick={retry}>
+            Retry
+          </Button>
+        </div>
+      )}
+      <div
+        ref={container}
+        style={{
+          width: "100%",
+          height: "100%",
+          display: status === "ready" ? "block" : "none",
+        }}
+      />
+    </div>
+  );
+};
+
+export default TimelineJsTimeline;
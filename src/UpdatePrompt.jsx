@@ -0,0 +1,44 @@
+import React, { useEffect, useState } from "react";
+import { Button, IconButton, Snackbar } from "@mui/material";
+import { Close } from "@mui/icons-material";
+import { applyUpdate, registerServiceWorker } from "./serviceWorker";
+
+/**
+ * Registers the service worker and offers to reload when an updated version
+ * of the app or its timeline data has been downloaded.
+ */
+const UpdatePrompt = () => {
+  // Registration with a waiting update, or null
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => registerServiceWorker({ onUpdate: setUpdate }), []);
+
+  return (
+    <Snackbar
+      open={Boolean(update)}
+      message="Updated timeline data is available"
+      anchorOrigin={{ vertical: "bottom", horizontal: "center" }}
+      action={
+        <>
+          <Button
+            color="secondary"
+            size="small"
+            onClick={() => applyUpdate(update)}
+          >
+            Reload
+          </Button>
+          <IconButton
+            size="small"
+            color="inherit"
+            aria-label="Dismiss"
+            onClick={() => setUpdate(null)}
+          >
+            <Close fontSize="small" />
+          </IconButton>
+        </>
+      }
+    />
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,87 @@
+import React, { useMemo, useState } from "react";
+import { IconButton, Slider, Tooltip, Typography } from "@mui/material";
+import { RestartAlt } from "@mui/icons-material";
+import { buildYearHistogram, getYearBounds, toYearRange } from "./yearRange";
+import { formatYear } from "./timelineScale";
+
+// Bars of the histogram behind the slider
+const HISTOGRAM_BINS = 60;
+
+/**
+ * Dual-handle slider restricting the timeline to a range of years, over a
+ * histogram of how many events fall in each period. The slider covers every
+ * event of the dataset; the histogram counts those of the selected groups.
+ * @param {object} props
+ * @param {Array<object>} props.events - Every event of the dataset.
+ * @param {Array<object>} props.groupEvents - The events of the selected groups.
+ * @param {{ from: number|null, to: number|null }|null} props.yearRange - The current range.
+ * @param {Function} props.onChange - Called with the new range, or null for none.
+ */
+const YearRangeFilter = ({ events, groupEvents, yearRange, onChange }) => {
+  const bounds = useMemo(() => getYearBounds(events), [events]);
+  const histogram = useMemo(
+    () =>
+      bounds ? buildYearHistogram(groupEvents, bounds, HISTOGRAM_BINS) : [],
+    [groupEvents, bounds]
+  );
+  // Handle positions while dragging, committed on release
+  const [draft, setDraft] = useState(null);
+
+  if (!bounds || bounds.min === bounds.max) return null;
+
+  const value = draft || [
+    Math.max(bounds.min, yearRange?.from ?? bounds.min),
+    Math.min(bounds.max, yearRange?.to ?? bounds.max),
+  ];
+  const maxCount = Math.max(1, ...histogram.map((bin) => bin.count));
+
+  return (
+    <div className="year-range-filter">
+      <Typography variant="body2" className="year-range-label">
+        {formatYear(value[0])} – {formatYear(value[1])}
+      </Typography>
+      <div className="year-range-slider">
+        <div className="year-range-histogram" aria-hidden="true">
+          {histogram.map((bin) => (
+            <div
+              key={bin.from}
+              className={`year-range-bar${
+                bin.to >= value[0] && bin.from <= value[1]
+                  ? " year-range-bar-selected"
+                  : ""
+              }`}
+              style={{ height: `${(bin.count / maxCount) * 100}%` }}
+            />
+          ))}
+        </div>
+        <Slider
+          value={value}
+          min={bounds.min}
+          max={bounds.max}
+          onChange={(e, newValue) => setDraft(newValue)}
+          onChangeCommitted={(e, newValue) => {
+            setDraft(null);
+            onChange(toYearRange(newValue[0], newValue[1], bounds));
+          }}
+          valueLabelDisplay="auto"
+          valueLabelFormat={formatYear}
+          getAriaLabel={(index) => (index === 0 ? "From year" : "To year")}
+          getAriaValueText={formatYear}
+          disableSwap
+          size="small"
+        />
+      </div>
+      <Tooltip title="All years">
+        <IconButton
+          onClick={() => onChange(null)}
+          disabled={!yearRange}
+          size="small"
+        >
+          <RestartAlt sx={{ fontSize: "1.1rem" }} />
+        </IconButton>
+      </Tooltip>
+    </div>
+  );
+};
+
+export default YearRangeFilter;
@@ -0,0 +1,81 @@
+import { getStorageKey } from "./datasets";
+
+/**
+ * Personal bookmarks and notes on events, stored per dataset in localStorage
+ * and keyed on event unique_ids. IDs are derived from the Unique ID column or
+ * from year and headline (see createEventId), so annotations survive CSV edits
+ * that don't touch the event itself.
+ *
+ * Shape: { [eventId]: { bookmarked?: true, note?: string } }
+ */
+
+/**
+ * Loads the annotations of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @returns {object} Annotations keyed by event ID.
+ */
+export const loadAnnotations = (dataset) => {
+  try {
+    const saved = localStorage.getItem(getStorageKey("annotations", dataset));
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.error("Error loading annotations from localStorage:", e);
+    return {};
+  }
+};
+
+/**
+ * Saves the annotations of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @param {object} annotations - As returned by loadAnnotations.
+ */
+export const saveAnnotations = (dataset, annotations) => {
+  try {
+    localStorage.setItem(
+      getStorageKey("annotations", dataset),
+      JSON.stringify(annotations)
+    );
+  } catch (e) {
+    console.error("Error saving annotations to localStorage:", e);
+  }
+};
+
+// Sets the fields of an event's annotation, dropping it once it is empty
+const updateAnnotation = (annotations, eventId, changes) => {
+  const { [eventId]: current, ...others } = annotations;
+  const annotation = { ...current, ...changes };
+  if (!annotation.bookmarked) delete annotation.bookmarked;
+  if (!annotation.note) delete annotation.note;
+  return Object.keys(annotation).length > 0
+    ? { ...others, [eventId]: annotation }
+    : others;
+};
+
+/**
+ * Bookmarks or un-bookmarks an event.
+ * @param {object} annotations - As returned by loadAnnotations.
+ * @param {string} eventId - The event's unique_id.
+ * @param {boolean} bookmarked
+ * @returns {object} The updated annotations (a new object).
+ */
+export const setBookmark = (annotations, eventId, bookmarked) =>
+  updateAnnotation(annotations, eventId, { bookmarked: bookmarked || null });
+
+/**
+ * Sets the note of an event; an empty note removes it.
+ * @param {object} annotations - As returned by loadAnnotations.
+ * @param {string} eventId - The event's unique_id.
+ * @param {string} note
+ * @returns {object} The updated annotations (a new object).
+ */
+export const setNote = (annotations, eventId, note) =>
+  updateAnnotation(annotations, eventId, { note: note.trim() || null });
+
+/**
+ * Whether an event is bookmarked.
+ * @param {object} annotations - As returned by loadAnnotations.
+ * @param {string} eventId - The event's unique_id.
+ * @returns {boolean}
+ */
+export const isBookmarked = (annotations, eventId) =>
+  Boolean(annotations[eventId]?.bookmarked);
@@ -0,0 +1,106 @@
+import { shuffle } from "./quiz";
+
+/**
+ * Chronology challenge: put a handful of events in chronological order.
+ *
+ * Difficulty is about how close together the picked events are in time:
+ * - easy: spread over the whole range of the selected events
+ * - medium: from a stretch of a few dozen consecutive events
+ * - hard: from a narrow run of consecutive events, often only years apart
+ */
+
+export const DIFFICULTIES = {
+  EASY: "easy",
+  MEDIUM: "medium",
+  HARD: "hard",
+};
+
+// Number of consecutive candidates the events are picked from, per event asked
+const WINDOW_FACTOR = {
+  [DIFFICULTIES.MEDIUM]: 4,
+  [DIFFICULTIES.HARD]: 1.5,
+};
+
+/**
+ * Compares two events by start date.
+ * @param {object} a - TimelineJS event.
+ * @param {object} b - TimelineJS event.
+ * @returns {number}
+ */
+export const compareByDate = (a, b) =>
+  a.start_date.year - b.start_date.year ||
+  (a.start_date.month || 1) - (b.start_date.month || 1) ||
+  (a.start_date.day || 1) - (b.start_date.day || 1);
+
+// One event per year, so the expected order is never ambiguous
+const oneEventPerYear = (events) => {
+  const byYear = new Map();
+  shuffle(events).forEach((event) => {
+    if (!byYear.has(event.start_date.year)) {
+      byYear.set(event.start_date.year, event);
+    }
+  });
+  return [...byYear.values()].sort(compareByDate);
+};
+
+/**
+ * Picks events for a challenge, in random order.
+ * @param {Array<object>} events - Candidate events (e.g. of the active groups).
+ * @param {number} count - Number of events to pick.
+ * @param {string} difficulty - One of DIFFICULTIES.
+ * @returns {Array<object>} The picked events, shuffled. Fewer than `count`
+ *   when there are not enough events with distinct years.
+ */
+export const pickChronologyEvents = (events, count, difficulty) => {
+  const candidates = oneEventPerYear(events);
+  if (candidates.length <= count) return shuffle(candidates);
+
+  if (difficulty === DIFFICULTIES.EASY) {
+    // One event from each of `count` equal slices of the range
+    const sliceSize = candidates.length / count;
+    return shuffle(
+      Array.from({ length: count }, (_, i) => {
+        const start = Math.floor(i * sliceSize);
+        const end = Math.floor((i + 1) * sliceSize);
+        return candidates[start + Math.floor(Math.random() * (end - start))];
+      })
+    );
+  }
+
+  const windowSize = Math.min(
+    candidates.length,
+    Math.ceil(count * WINDOW_FACTOR[difficulty])
+  );
+  const start = Math.floor(
+    Math.random() * (candidates.length - windowSize + 1)
+  );
+  return shuffle(candidates.slice(start, start + windowSize)).slice(0, count);
+};
+
+/**
+ * Scores an attempt.
+ * @param {Array<object>} order - The events in the order given by the user.
+ * @returns {{ correctOrder: Array<object>, correctPositions: number, correctPairs: number, totalPairs: number }}
+ *   `correctPairs` counts the pairs of events placed in the right relative
+ *   order, so one misplaced event costs less than a reversed list.
+ */
+export const scoreChronology = (order) => {
+  const correctOrder = [...order].sort(compareByDate);
+  const correctPositions = order.filter(
+    (event, index) => event === correctOrder[index]
+  ).length;
+
+  let correctPairs = 0;
+  for (let i = 0; i < order.length; i++) {
+    for (let j = i + 1; j < order.length; j++) {
+      if (compareByDate(order[i], order[j]) < 0) correctPairs++;
+    }
+  }
+
+  return {
+    correctOrder,
+    correctPositions,
+    correctPairs,
+    totalPairs: (order.length * (order.length - 1)) / 2,
+  };
+};
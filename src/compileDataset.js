@@ -0,0 +1,132 @@
+// Shared by the app, the Vite plugin and the command-line compiler, so imports
+// carry explicit extensions to stay loadable by plain Node.
+import Papa from "papaparse";
+import { mapCsvColumns } from "./csvColumns.js";
+import { validateCsvData, SEVERITY } from "./csvValidation.js";
+import { processCsvData } from "./timelineUtils.js";
+
+const LINE_BREAK_PATTERN = /\r\n?|\n/g;
+
+const countLineBreaks = (text) => (text.match(LINE_BREAK_PATTERN) || []).length;
+
+// Line of the file on which each data row starts, counting the blank lines
+// skipped by the parser and the line breaks within quoted cells
+const findRowLines = (csvText, delimiter) => {
+  const lines = [];
+  let line = 1;
+  let position = 0;
+  Papa.parse(csvText, {
+    delimiter,
+    skipEmptyLines: true,
+    step: ({ meta }) => {
+      // The cursor is at the end of the row, the blank lines before it are
+      // counted as well
+      const rowText = csvText.slice(position, meta.cursor);
+      const leading = rowText.match(/^[\r\n]*/)[0];
+      lines.push(line + countLineBreaks(leading));
+      line += countLineBreaks(rowText);
+      position = meta.cursor;
+    },
+  });
+  // The first row is the header
+  return lines.slice(1);
+};
+
+/**
+ * Compiles the text of a timeline CSV into the data the app renders: the
+ * TimelineJS JSON for every event, the groups of its slides and the validation
+ * diagnostics. Rows with validation errors are still compiled where possible,
+ * callers decide whether errors are fatal (see hasErrors).
+ * @param {string} csvText - The raw CSV text.
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Column delimiter used by the CSV.
+ * @param {string} [options.title] - Headline of the title slide.
+ * @param {Array<string>|null} [options.groups] - Allowed groups; null accepts any group.
+ * @param {object|null} [options.eras] - Which rows become eras (see eras.js).
+ * @param {Array<string>} [options.datasetIds] - Every dataset id, for references to other datasets.
+ * @returns {{ timeline: object|null, groups: Array<string>, diagnostics: Array<object>, error: string|null }}
+ */
+export const compileCsv = (
+  csvText,
+  {
+    delimiter = "|",
+    title,
+    groups = null,
+    eras = null,
+    datasetIds = [],
+  } = {}
+) => {
+  const results = Papa.parse(csvText, {
+    header: true,
+    delimiter,
+    skipEmptyLines: true,
+  });
+
+  // Map header aliases to our column names and trim every cell
+  const { rows, ...columnReport } = mapCsvColumns(
+    results.data || [],
+    results.meta.fields || []
+  );
+  const diagnostics = validateCsvData(rows, {
+    lines: findRowLines(csvText, delimiter),
+    columnReport,
+    groups,
+    datasetIds,
+  });
+
+  const { timelineJson, error } = processCsvData(rows, {
+    title,
+    eras,
+    datasetIds,
+  });
+
+  // Groups whose rows all became eras have nothing left to filter
+  const uniqueGroups = new Set(
+    (timelineJson
+      ? timelineJson.events.map((event) => event.group)
+      : rows.map((row) => row.Group)
+    ).filter(Boolean)
+  );
+
+  return {
+    timeline: timelineJson,
+    groups: Array.from(uniqueGroups).sort(), // Sorted array of unique groups
+    diagnostics,
+    error,
+  };
+};
+
+/**
+ * Picks the compile options of a manifest entry.
+ * @param {object} dataset - A dataset manifest entry.
+ * @param {Array<object>} datasets - Every manifest entry, which events may refer to.
+ * @returns {{ delimiter: string, title: string, groups: Array<string>|null, eras: object|null, datasetIds: Array<string> }}
+ */
+export const getCompileOptions = (dataset, datasets) => ({
+  delimiter: dataset.delimiter,
+  title: dataset.title,
+  groups: dataset.groups || null,
+  eras: dataset.eras || null,
+  datasetIds: datasets.map((entry) => entry.id),
+});
+
+/**
+ * Tells whether compiled data has any validation error.
+ * @param {{ diagnostics: Array<object> }} compiled - The result of compileCsv.
+ * @returns {boolean}
+ */
+export const hasErrors = (compiled) =>
+  compiled.diagnostics.some(
+    (diagnostic) => diagnostic.severity === SEVERITY.ERROR
+  );
+
+/**
+ * Formats a diagnostic as a single line, e.g. `src/mh.csv:12 [Month] error: ...`.
+ * @param {object} diagnostic - A diagnostic from validateCsvData.
+ * @param {string} file - The CSV file the diagnostic belongs to.
+ * @returns {string}
+ */
+export const formatDiagnostic = (diagnostic, file) =>
+  `${file}:${diagnostic.row}${
+    diagnostic.column ? ` [${diagnostic.column}]` : ""
+  } ${diagnostic.severity}: ${diagnostic.message}`;
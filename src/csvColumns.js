@@ -0,0 +1,110 @@
+/**
+ * Columns understood by the timeline parser, keyed by their canonical header,
+ * with the alternative spellings accepted for each of them. Headers are
+ * compared case-insensitively and ignoring whitespace, "_" and "-", so only
+ * genuinely different names need to be listed as aliases.
+ */
+export const CSV_COLUMNS = {
+  Year: [],
+  Month: [],
+  Day: [],
+  Time: [],
+  "End Year": [],
+  "End Month": [],
+  "End Day": [],
+  "End Time": [],
+  "Display Date": [],
+  Headline: [],
+  Text: [],
+  Group: [],
+  Type: [],
+  Media: ["Media URL"],
+  "Media Credit": [],
+  "Media Caption": [],
+  "Media Thumbnail": ["Thumbnail"],
+  "Alt Text": ["Alt", "Media Alt"],
+  Title: ["Media Title"],
+  Link: ["Media Link"],
+  "Link Target": ["Media Link Target"],
+  Background: ["Background URL"],
+  "Background Color": ["Background Colour"],
+  Autolink: [],
+  "Unique ID": ["ID"],
+  Related: ["See Also"],
+  "Title Media": [],
+  "Title Caption": [],
+  "Title Credit": [],
+  "Title Thumbnail": [],
+  "Title Alt": [],
+  "Title Title": [],
+  "Title Link": [],
+  "Title Link Target": [],
+  "Title Background": [],
+  "Title Background Color": [],
+};
+
+// Columns without which no event can be built
+export const REQUIRED_COLUMNS = ["Year", "Headline"];
+
+const normalizeHeader = (header) =>
+  String(header).toLowerCase().replace(/[\s_-]+/g, "");
+
+// Lookup from normalized header (canonical name or alias) to canonical name
+const columnLookup = new Map(
+  Object.entries(CSV_COLUMNS).flatMap(([column, aliases]) =>
+    [column, ...aliases].map((name) => [normalizeHeader(name), column])
+  )
+);
+
+/**
+ * Resolves a CSV header to the canonical column it stands for.
+ * @param {string} header - A header as written in the CSV.
+ * @returns {string|null} The canonical column name, or null if unknown.
+ */
+export const resolveColumn = (header) =>
+  columnLookup.get(normalizeHeader(header)) || null;
+
+/**
+ * Renames the columns of parsed CSV rows to their canonical headers and trims
+ * every cell. Unknown columns are kept under their trimmed header so no data
+ * is lost, and are listed in the returned report.
+ * @param {Array<object>} rows - Row objects from PapaParse.
+ * @param {Array<string>} headers - The header row (PapaParse's `meta.fields`).
+ * @returns {{ rows: Array<object>, unknownHeaders: Array<string>, duplicateHeaders: Array<string>, missingColumns: Array<string> }}
+ */
+export const mapCsvColumns = (rows, headers) => {
+  const headerMap = new Map();
+  const unknownHeaders = [];
+  const duplicateHeaders = [];
+
+  headers.forEach((header) => {
+    const trimmed = String(header).trim();
+    if (trimmed === "") return; // Trailing delimiters produce empty headers
+    const column = resolveColumn(trimmed);
+    if (!column) {
+      unknownHeaders.push(trimmed);
+      headerMap.set(header, trimmed);
+    } else if (Array.from(headerMap.values()).includes(column)) {
+      // The first header wins; later ones mapping to the same column are reported
+      duplicateHeaders.push(trimmed);
+    } else {
+      headerMap.set(header, column);
+    }
+  });
+
+  const mappedColumns = new Set(headerMap.values());
+  const missingColumns = REQUIRED_COLUMNS.filter(
+    (column) => !mappedColumns.has(column)
+  );
+
+  const mappedRows = rows.map((row) => {
+    const mappedRow = {};
+    headerMap.forEach((column, header) => {
+      const value = row[header];
+      mappedRow[column] = typeof value === "string" ? value.trim() : "";
+    });
+    return mappedRow;
+  });
+
+  return { rows: mappedRows, unknownHeaders, duplicateHeaders, missingColumns };
+};
@@ -0,0 +1,280 @@
+import Papa from "papaparse";
+import { resolveColumn } from "./csvColumns";
+
+/**
+ * Drafts of a dataset CSV being edited in the app. A draft keeps the file's
+ * own header row, so downloading it gives back the same columns in the same
+ * order, and its rows as arrays of cells in header order:
+ * { headers, headerText, rows: [{ id, cells, text }], trailingNewline }.
+ * Rows keep the text they were read from until they are edited, so untouched
+ * rows are written back exactly as they were. Row ids only exist to keep
+ * track of rows while editing and are never written to the file.
+ */
+
+export const CELL_TYPES = {
+  YEAR: "year",
+  MONTH: "month",
+  DAY: "day",
+  TIME: "time",
+  GROUP: "group",
+  URL: "url",
+  LONG_TEXT: "long-text",
+  TEXT: "text",
+};
+
+const CELL_TYPES_BY_COLUMN = {
+  Year: CELL_TYPES.YEAR,
+  "End Year": CELL_TYPES.YEAR,
+  Month: CELL_TYPES.MONTH,
+  "End Month": CELL_TYPES.MONTH,
+  Day: CELL_TYPES.DAY,
+  "End Day": CELL_TYPES.DAY,
+  Time: CELL_TYPES.TIME,
+  "End Time": CELL_TYPES.TIME,
+  Group: CELL_TYPES.GROUP,
+  Media: CELL_TYPES.URL,
+  "Media Thumbnail": CELL_TYPES.URL,
+  Link: CELL_TYPES.URL,
+  Background: CELL_TYPES.URL,
+  "Title Media": CELL_TYPES.URL,
+  "Title Thumbnail": CELL_TYPES.URL,
+  "Title Link": CELL_TYPES.URL,
+  "Title Background": CELL_TYPES.URL,
+  Text: CELL_TYPES.LONG_TEXT,
+};
+
+/**
+ * Tells how a column's cells are edited.
+ * @param {string} header - A header as written in the CSV.
+ * @returns {string} One of CELL_TYPES.
+ */
+export const getCellType = (header) =>
+  CELL_TYPES_BY_COLUMN[resolveColumn(header)] || CELL_TYPES.TEXT;
+
+let lastRowId = 0;
+const createRow = (cells, text = null) => ({ id: ++lastRowId, cells, text });
+
+/**
+ * Reads a CSV into a draft.
+ * @param {string} text - The CSV text.
+ * @param {string} delimiter - Column delimiter used by the CSV.
+ * @returns {object} The draft.
+ */
+export const parseCsvDraft = (text, delimiter) => {
+  const records = [];
+  let start = 0;
+  Papa.parse(text, {
+    delimiter,
+    skipEmptyLines: true,
+    step: ({ data, meta }) => {
+      // The text up to the cursor includes the line breaks around the row
+      const rowText = text.slice(start, meta.cursor);
+      records.push({
+        cells: data,
+        text: rowText.replace(/^[\r\n]+|[\r\n]+$/g, ""),
+      });
+      start = meta.cursor;
+    },
+  });
+  const [header = { cells: [], text: "" }, ...rows] = records;
+  return {
+    headers: header.cells,
+    headerText: header.text,
+    rows: rows.map((row) =>
+      createRow(
+        header.cells.map((column, index) => row.cells[index] ?? ""),
+        row.text
+      )
+    ),
+    trailingNewline: /\r?\n$/.test(text),
+  };
+};
+
+// Quotes a cell only when it can't be read back otherwise
+const formatCell = (value, delimiter) =>
+  value.includes(delimiter) || /[\r\n]/.test(value) || value.startsWith('"')
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+
+const formatRow = (cells, delimiter) =>
+  cells.map((cell) => formatCell(cell, delimiter)).join(delimiter);
+
+/**
+ * Writes a draft back as CSV text.
+ * @param {object} draft
+ * @param {string} delimiter - Column delimiter used by the CSV.
+ * @returns {string}
+ */
+export const serializeCsvDraft = (draft, delimiter) =>
+  [
+    draft.headerText ?? formatRow(draft.headers, delimiter),
+    ...draft.rows.map((row) => row.text ?? formatRow(row.cells, delimiter)),
+  ].join("\n") + (draft.trailingNewline ? "\n" : "");
+
+/**
+ * Finds the line on which each row of a draft starts once written back (see
+ * serializeCsvDraft), as cells may span several lines.
+ * @param {object} draft
+ * @param {string} delimiter - Column delimiter used by the CSV.
+ * @returns {Array<number>} The line of each row; the header is line 1.
+ */
+export const getDraftLines = (draft, delimiter) => {
+  const countLines = (text) => text.split(/\r\n?|\n/).length;
+  const headerText = draft.headerText ?? formatRow(draft.headers, delimiter);
+  let line = 1 + countLines(headerText);
+  return draft.rows.map((row) => {
+    const rowLine = line;
+    line += countLines(row.text ?? formatRow(row.cells, delimiter));
+    return rowLine;
+  });
+};
+
+/**
+ * Returns a draft with one cell changed.
+ * @param {object} draft
+ * @param {number} rowIndex
+ * @param {number} columnIndex
+ * @param {string} value
+ * @returns {object}
+ */
+export const updateCell = (draft, rowIndex, columnIndex, value) => ({
+  ...draft,
+  rows: draft.rows.map((row, index) =>
+    index === rowIndex
+      ? {
+          ...row,
+          cells: row.cells.map((cell, column) =>
+            column === columnIndex ? value : cell
+          ),
+          text: null,
+        }
+      : row
+  ),
+});
+
+/**
+ * Returns a draft with an empty row inserted.
+ * @param {object} draft
+ * @param {number} rowIndex - Where the new row goes.
+ * @returns {object}
+ */
+export const insertRow = (draft, rowIndex) => ({
+  ...draft,
+  rows: [
+    ...draft.rows.slice(0, rowIndex),
+    createRow(draft.headers.map(() => "")),
+    ...draft.rows.slice(rowIndex),
+  ],
+});
+
+/**
+ * Returns a draft with a copy of a row inserted after it. The copy's explicit
+ * ID, if any, is cleared since IDs must stay unique.
+ * @param {object} draft
+ * @param {number} rowIndex
+ * @returns {object}
+ */
+export const duplicateRow = (draft, rowIndex) => {
+  const idColumn = draft.headers.findIndex(
+    (header) => resolveColumn(header) === "Unique ID"
+  );
+  const copy = createRow(
+    draft.rows[rowIndex].cells.map((cell, column) =>
+      column === idColumn ? "" : cell
+    )
+  );
+  return {
+    ...draft,
+    rows: [
+      ...draft.rows.slice(0, rowIndex + 1),
+      copy,
+      ...draft.rows.slice(rowIndex + 1),
+    ],
+  };
+};
+
+/**
+ * Returns a draft without a row.
+ * @param {object} draft
+ * @param {number} rowIndex
+ * @returns {object}
+ */
+export const deleteRow = (draft, rowIndex) => ({
+  ...draft,
+  rows: draft.rows.filter((row, index) => index !== rowIndex),
+});
+
+/**
+ * Indexes validation diagnostics by CSV line and column, e.g. to flag cells.
+ * @param {Array<object>} diagnostics - Diagnostics from validateCsvData.
+ * @returns {Map<number, object>} For each line, { [column]: diagnostics },
+ *   where diagnostics about the whole row are under the key "".
+ */
+export const indexDiagnostics = (diagnostics) => {
+  const byLine = new Map();
+  diagnostics.forEach((diagnostic) => {
+    if (!byLine.has(diagnostic.row)) byLine.set(diagnostic.row, {});
+    const columns = byLine.get(diagnostic.row);
+    const column = diagnostic.column || "";
+    columns[column] = [...(columns[column] || []), diagnostic];
+  });
+  return byLine;
+};
+
+/**
+ * Loads the saved draft of a dataset.
+ * @param {string} storageKey - localStorage key of the draft.
+ * @returns {{ draft: object, savedAt: string }|null} Null if there is none.
+ */
+export const loadCsvDraft = (storageKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    if (!saved) return null;
+    return {
+      draft: {
+        headers: saved.headers,
+        headerText: saved.headerText,
+        rows: saved.rows.map((row) => createRow(row.cells, row.text)),
+        trailingNewline: saved.trailingNewline,
+      },
+      savedAt: saved.savedAt,
+    };
+  } catch (error) {
+    console.error("Error loading CSV draft:", error);
+    return null;
+  }
+};
+
+/**
+ * Saves the draft of a dataset.
+ * @param {string} storageKey - localStorage key of the draft.
+ * @param {object} draft
+ */
+export const saveCsvDraft = (storageKey, draft) => {
+  try {
+    localStorage.setItem(
+      storageKey,
+      JSON.stringify({
+        headers: draft.headers,
+        headerText: draft.headerText,
+        rows: draft.rows.map(({ cells, text }) => ({ cells, text })),
+        trailingNewline: draft.trailingNewline,
+        savedAt: new Date().toISOString(),
+      })
+    );
+  } catch (error) {
+    console.error("Error saving CSV draft:", error);
+  }
+};
+
+/**
+ * Deletes the saved draft of a dataset.
+ * @param {string} storageKey - localStorage key of the draft.
+ */
+export const clearCsvDraft = (storageKey) => {
+  try {
+    localStorage.removeItem(storageKey);
+  } catch (error) {
+    console.error("Error deleting CSV draft:", error);
+  }
+};
@@ -0,0 +1,182 @@
+import Papa from "papaparse";
+import { CSV_COLUMNS, REQUIRED_COLUMNS, resolveColumn } from "./csvColumns";
+import { parseYearValue } from "./historicalDates";
+
+/**
+ * Reading CSVs supplied by users, whose delimiter, header row and column
+ * names may be anything. The file is inspected to guess them, the user checks
+ * the guess, and the CSV is then rewritten with our column names so it
+ * compiles like the bundled datasets.
+ */
+
+// Delimiters offered and guessed, by label
+export const DELIMITERS = {
+  "|": "Pipe (|)",
+  ",": "Comma (,)",
+  "\t": "Tab",
+  ";": "Semicolon (;)",
+};
+
+// Rows inspected to guess the format and shown as samples
+const SAMPLE_ROWS = 20;
+
+// Cells of a column that must read as years for it to be taken as the Year
+const YEAR_SHARE = 0.8;
+
+// Group of every event when no column gives one, as events are only shown
+// through the group filter
+export const DEFAULT_GROUP = "All events";
+
+// Headers common in other timelines, only guessed for imports since some
+// stand for other columns in ours, e.g. "Title" is the media's title
+const IMPORT_ALIASES = {
+  date: "Year",
+  when: "Year",
+  title: "Headline",
+  event: "Headline",
+  name: "Headline",
+  description: "Text",
+  details: "Text",
+  category: "Group",
+  tag: "Group",
+  url: "Link",
+  image: "Media",
+};
+
+// Guesses the column a header of an imported CSV stands for
+const guessColumn = (header) =>
+  resolveColumn(header) ||
+  IMPORT_ALIASES[String(header).trim().toLowerCase()] ||
+  null;
+
+// A cell that can only be data, never a header
+const isYear = (cell) => /\d/.test(cell) && parseYearValue(cell) !== null;
+
+/**
+ * Guesses the delimiter of a CSV.
+ * @param {string} text - The CSV text.
+ * @returns {string} One of the DELIMITERS, "," when nothing fits better.
+ */
+export const detectDelimiter = (text) => {
+  const { meta } = Papa.parse(text, {
+    preview: SAMPLE_ROWS,
+    skipEmptyLines: true,
+    delimitersToGuess: Object.keys(DELIMITERS),
+  });
+  return meta.delimiter in DELIMITERS ? meta.delimiter : ",";
+};
+
+/**
+ * Reads the first rows of a CSV as arrays of cells.
+ * @param {string} text - The CSV text.
+ * @param {string} delimiter
+ * @returns {Array<Array<string>>}
+ */
+export const readSampleRows = (text, delimiter) =>
+  Papa.parse(text, { delimiter, preview: SAMPLE_ROWS, skipEmptyLines: true })
+    .data;
+
+/**
+ * Tells whether the first row of a CSV names its columns: it does if any of
+ * its cells is a known column name, and doesn't if any is a year.
+ * @param {Array<Array<string>>} rows - Sample rows (see readSampleRows).
+ * @returns {boolean}
+ */
+export const detectHeaderRow = (rows) => {
+  const [first = []] = rows;
+  return (
+    first.some((cell) => guessColumn(cell)) ||
+    !first.some((cell) => isYear(cell.trim()))
+  );
+};
+
+/**
+ * Suggests the column each CSV column stands for: named columns by their
+ * header, a "Title" being the Headline when there is none, and the first
+ * column of years is otherwise the Year and the first two other columns with
+ * text the Headline and the Text.
+ * @param {Array<Array<string>>} rows - Sample rows (see readSampleRows).
+ * @param {boolean} hasHeader - Whether the first row names the columns.
+ * @returns {Array<string|null>} For each column, one of CSV_COLUMNS or null
+ *   to leave it out.
+ */
+export const suggestColumnMapping = (rows, hasHeader) => {
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  const data = hasHeader ? rows.slice(1) : rows;
+  const cellsOf = (index) =>
+    data.map((row) => (row[index] ?? "").trim()).filter(Boolean);
+
+  const mapping = Array.from({ length: width }, (value, index) =>
+    hasHeader ? guessColumn(rows[0][index] ?? "") : null
+  );
+  // The first column wins when several stand for the same one
+  mapping.forEach((column, index) => {
+    if (column && mapping.indexOf(column) !== index) mapping[index] = null;
+  });
+  if (!mapping.includes("Headline") && mapping.includes("Title")) {
+    mapping[mapping.indexOf("Title")] = "Headline";
+  }
+
+  const take = (column, predicate) => {
+    const index = mapping.findIndex(
+      (mapped, position) => !mapped && predicate(cellsOf(position))
+    );
+    if (index !== -1 && !mapping.includes(column)) mapping[index] = column;
+  };
+  take("Year", (cells) => {
+    const years = cells.filter(isYear).length;
+    return years > 0 && years >= cells.length * YEAR_SHARE;
+  });
+  take("Headline", (cells) => cells.length > 0);
+  take("Text", (cells) => cells.length > 0);
+  return mapping;
+};
+
+/**
+ * Checks a column mapping, e.g. before the CSV is rewritten with it.
+ * @param {Array<string|null>} mapping - See suggestColumnMapping.
+ * @returns {Array<string>} Problems found, empty if the mapping can be used.
+ */
+export const checkColumnMapping = (mapping) => {
+  const problems = REQUIRED_COLUMNS.filter(
+    (column) => !mapping.includes(column)
+  ).map((column) => `No column is used as the ${column}.`);
+  Object.keys(CSV_COLUMNS).forEach((column) => {
+    const count = mapping.filter((mapped) => mapped === column).length;
+    if (count > 1) problems.push(`${count} columns are used as the ${column}.`);
+  });
+  return problems;
+};
+
+/**
+ * Rewrites a CSV with our column names as its header row, leaving out the
+ * columns mapped to nothing. Without a Group column, every event is put in
+ * the DEFAULT_GROUP.
+ * @param {string} text - The CSV text.
+ * @param {object} format
+ * @param {string} format.delimiter - Delimiter of the CSV, kept in the result.
+ * @param {boolean} format.hasHeader - Whether the first row names the columns.
+ * @param {Array<string|null>} format.mapping - See suggestColumnMapping.
+ * @returns {string} The rewritten CSV.
+ */
+export const applyColumnMapping = (text, { delimiter, hasHeader, mapping }) => {
+  const { data } = Papa.parse(text, { delimiter, skipEmptyLines: true });
+  const rows = hasHeader ? data.slice(1) : data;
+  const kept = mapping
+    .map((column, index) => ({ column, index }))
+    .filter(({ column }) => column);
+  const hasGroup = mapping.includes("Group");
+  return Papa.unparse(
+    {
+      fields: [
+        ...kept.map(({ column }) => column),
+        ...(hasGroup ? [] : ["Group"]),
+      ],
+      data: rows.map((row) => [
+        ...kept.map(({ index }) => row[index] ?? ""),
+        ...(hasGroup ? [] : [DEFAULT_GROUP]),
+      ]),
+    },
+    { delimiter, newline: "\n" }
+  );
+};
@@ -0,0 +1,357 @@
+/**
+ * Row-level validation of timeline CSV data. Produces diagnostics that point
+ * content editors at the exact line and column to fix, instead of the rows
+ * being silently dropped or misplaced by the parser.
+ *
+ * A diagnostic has the shape { row, column, severity, message } where `row` is
+ * the line number in the CSV file (the header is line 1) and `severity` is one
+ * of SEVERITY.ERROR or SEVERITY.WARNING.
+ */
+
+import { createEventId, disambiguateIds } from "./eventIds.js";
+import { parseYearValue } from "./historicalDates.js";
+import { parseRelated } from "./relatedEvents.js";
+import { isSafeMediaUrl, isSafeUrl, toPlainText } from "./richText.js";
+
+export const SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// Columns holding URLs, which are left out unless safe (see richText.js)
+const LINK_COLUMNS = ["Link", "Title Link"];
+const URL_COLUMNS = [
+  "Media",
+  "Media Thumbnail",
+  "Background",
+  "Title Media",
+  "Title Thumbnail",
+  "Title Background",
+  ...LINK_COLUMNS,
+];
+
+const isBlank = (value) => !value || value.trim() === "";
+
+const isLeapYear = (year) =>
+  (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+const daysInMonth = (year, month) =>
+  [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][
+    month - 1
+  ];
+
+/**
+ * Validates the date columns of one side (start or end) of a row. The year
+ * may be a historical date such as "c. 320 BCE" or "1850s" (see
+ * parseYearValue); the start takes its first year and the end its last.
+ * @returns {object|null} The parsed date parts, or null if the year is unusable.
+ */
+const validateDate = (row, columns, report, { isEnd = false } = {}) => {
+  const { year: yearColumn, month: monthColumn, day: dayColumn, time: timeColumn } =
+    columns;
+  const yearValue = row[yearColumn].trim();
+  const parsed = parseYearValue(yearValue);
+  if (!parsed) {
+    report(
+      SEVERITY.ERROR,
+      yearColumn,
+      `"${yearValue}" is not a valid year (expected e.g. 1857, -320, 320 BCE, c. 1500, 1850s, 3rd century BCE or 1905-1920)`
+    );
+    return null;
+  }
+  const date = { year: isEnd ? parsed.end : parsed.start };
+
+  if (!isBlank(row[monthColumn])) {
+    const monthValue = row[monthColumn].trim();
+    const month = parseInt(monthValue, 10);
+    if (!INTEGER_PATTERN.test(monthValue) || month < 1 || month > 12) {
+      report(
+        SEVERITY.ERROR,
+        monthColumn,
+        `"${monthValue}" is not a valid month (expected 1-12); it will be ignored`
+      );
+    } else {
+      date.month = month;
+    }
+  }
+
+  if (!isBlank(row[dayColumn])) {
+    const dayValue = row[dayColumn].trim();
+    const day = parseInt(dayValue, 10);
+    if (!INTEGER_PATTERN.test(dayValue) || day < 1 || day > 31) {
+      report(
+        SEVERITY.ERROR,
+        dayColumn,
+        `"${dayValue}" is not a valid day (expected 1-31); it will be ignored`
+      );
+    } else if (date.month === undefined) {
+      report(SEVERITY.WARNING, dayColumn, "Day is set without a month");
+      date.day = day;
+    } else if (day > daysInMonth(date.year, date.month)) {
+      report(
+        SEVERITY.ERROR,
+        dayColumn,
+        `${date.year}-${date.month}-${day} is not a calendar date (month ${date.month} has ${daysInMonth(date.year, date.month)} days)`
+      );
+    } else {
+      date.day = day;
+    }
+  }
+
+  if (!isBlank(row[timeColumn])) {
+    const timeValue = row[timeColumn].trim();
+    const match = timeValue.match(TIME_PATTERN);
+    if (
+      !match ||
+      parseInt(match[1], 10) > 23 ||
+      parseInt(match[2], 10) > 59 ||
+      (match[3] !== undefined && parseInt(match[3], 10) > 59)
+    ) {
+      report(
+        SEVERITY.ERROR,
+        timeColumn,
+        `"${timeValue}" is not a valid time (expected HH:MM or HH:MM:SS)`
+      );
+    } else {
+      date.hour = parseInt(match[1], 10);
+      date.minute = parseInt(match[2], 10);
+      if (match[3] !== undefined) date.second = parseInt(match[3], 10);
+    }
+  }
+
+  return date;
+};
+
+// Compares two dates part by part; missing parts count as the earliest value
+const compareDates = (a, b) => {
+  const parts = ["year", "month", "day", "hour", "minute", "second"];
+  for (const part of parts) {
+    const difference = (a[part] ?? 0) - (b[part] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+/**
+ * Validates parsed CSV rows and reports every problem found.
+ * @param {Array<object>} csvData - Rows with canonical column names (see mapCsvColumns).
+ * @param {object} [options]
+ * @param {Array<number>} [options.lines] - Line of the file on which each row
+ *   starts; by default the rows follow the header on consecutive lines.
+ * @param {object} [options.columnReport] - Header report returned by mapCsvColumns.
+ * @param {Array<string>|null} [options.groups] - Allowed groups; null accepts any group.
+ * @param {Array<string>} [options.datasetIds] - Known dataset ids, for references to other datasets.
+ * @returns {Array<{ row: number, column: string|null, severity: string, message: string }>}
+ */
+export const validateCsvData = (
+  csvData,
+  { lines = null, columnReport, groups = null, datasetIds = [] } = {}
+) => {
+  const diagnostics = [];
+  // Line 1 is the header row
+  const lineNumber = (index) => lines?.[index] ?? index + 2;
+
+  if (columnReport) {
+    columnReport.missingColumns.forEach((column) =>
+      diagnostics.push({
+        row: 1,
+        column,
+        severity: SEVERITY.ERROR,
+        message: `Required column "${column}" is missing`,
+      })
+    );
+    columnReport.unknownHeaders.forEach((column) =>
+      diagnostics.push({
+        row: 1,
+        column,
+        severity: SEVERITY.WARNING,
+        message: `Unknown column "${column}" will be ignored`,
+      })
+    );
+    columnReport.duplicateHeaders.forEach((column) =>
+      diagnostics.push({
+        row: 1,
+        column,
+        severity: SEVERITY.WARNING,
+        message: `Column "${column}" duplicates an earlier column and will be ignored`,
+      })
+    );
+  }
+
+  if (!csvData) return diagnostics;
+
+  const idLines = new Map();
+  const headlineLines = new Map();
+  // Group spellings seen so far, keyed case-insensitively, to catch typos
+  const groupSpellings = new Map();
+  // Line and ID of the rows that become events, to check references against
+  const eventRows = [];
+
+  csvData.forEach((row, index) => {
+    const line = lineNumber(index);
+    const report = (severity, column, message) =>
+      diagnostics.push({ row: line, column, severity, message });
+
+    // --- Dates ---
+    let start = null;
+    if (isBlank(row.Year)) {
+      report(SEVERITY.ERROR, "Year", "Year is missing; the row will be skipped");
+    } else {
+      start = validateDate(
+        row,
+        { year: "Year", month: "Month", day: "Day", time: "Time" },
+        report
+      );
+    }
+
+    if (!isBlank(row["End Year"])) {
+      const end = validateDate(
+        row,
+        {
+          year: "End Year",
+          month: "End Month",
+          day: "End Day",
+          time: "End Time",
+        },
+        report,
+        { isEnd: true }
+      );
+      if (start && end && compareDates(end, start) < 0) {
+        report(SEVERITY.ERROR, "End Year", "End date is before the start date");
+      }
+    } else if (
+      !isBlank(row["End Month"]) ||
+      !isBlank(row["End Day"]) ||
+      !isBlank(row["End Time"])
+    ) {
+      report(
+        SEVERITY.WARNING,
+        "End Year",
+        "End date parts are set without an end year and will be ignored"
+      );
+    }
+
+    // --- IDs ---
+    const headline = row.Headline?.trim() || "";
+    const hasExplicitId = !isBlank(row["Unique ID"]);
+    const id =
+      hasExplicitId || start
+        ? createEventId({ id: row["Unique ID"], year: start?.year, headline })
+        : null;
+    const isDuplicateId = Boolean(id) && idLines.has(id);
+    if (isDuplicateId) {
+      // Generated IDs are disambiguated with a suffix, explicit ones are meant to be unique
+      report(
+        hasExplicitId ? SEVERITY.ERROR : SEVERITY.WARNING,
+        hasExplicitId ? "Unique ID" : "Headline",
+        `Event ID "${id}" is already used on line ${idLines.get(id)}${
+          hasExplicitId ? "" : "; a numbered suffix will be added to this one"
+        }`
+      );
+    } else if (id) {
+      idLines.set(id, line);
+    }
+    if (id && start) eventRows.push({ line, id, headline });
+
+    // --- Headline ---
+    if (headline === "") {
+      report(SEVERITY.ERROR, "Headline", "Headline is missing");
+    } else if (start && !isDuplicateId) {
+      // Only worth a separate warning when the IDs differ, e.g. in letter case
+      const key = `${start.year}|${headline.toLowerCase()}`;
+      if (headlineLines.has(key)) {
+        report(
+          SEVERITY.WARNING,
+          "Headline",
+          `Duplicate of the event on line ${headlineLines.get(key)}`
+        );
+      } else {
+        headlineLines.set(key, line);
+      }
+    }
+
+    // --- Group ---
+    const group = row.Group?.trim() || "";
+    if (group === "") {
+      report(
+        SEVERITY.WARNING,
+        "Group",
+        "Group is missing; the event cannot be shown by the group filter"
+      );
+    } else if (groups && !groups.includes(group)) {
+      report(SEVERITY.WARNING, "Group", `Unknown group "${group}"`);
+    } else {
+      const spelling = groupSpellings.get(group.toLowerCase());
+      if (spelling === undefined) {
+        groupSpellings.set(group.toLowerCase(), group);
+      } else if (spelling !== group) {
+        report(
+          SEVERITY.WARNING,
+          "Group",
+          `Group "${group}" differs from "${spelling}" only in letter case`
+        );
+      }
+    }
+
+    // --- URLs ---
+    URL_COLUMNS.forEach((column) => {
+      const url = row[column]?.trim();
+      const isSafe = LINK_COLUMNS.includes(column) ? isSafeUrl : isSafeMediaUrl;
+      if (url && !isSafe(url)) {
+        report(
+          SEVERITY.WARNING,
+          column,
+          `${column} "${url}" is not a web address and is left out`
+        );
+      }
+    });
+  });
+
+  // --- Related events ---
+  // References to other datasets can only be checked with every dataset
+  // compiled, see the compile-datasets script
+  const { ids } = disambiguateIds(eventRows.map((eventRow) => eventRow.id));
+  const knownIds = new Set(ids);
+  const headlineCounts = new Map();
+  eventRows.forEach(({ headline }) => {
+    // As matched when compiled, see createReferenceResolver
+    const key = toPlainText(headline).toLowerCase();
+    headlineCounts.set(key, (headlineCounts.get(key) || 0) + 1);
+  });
+  csvData.forEach((row, index) => {
+    parseRelated(row.Related, datasetIds).forEach(({ datasetId, reference }) => {
+      if (datasetId || knownIds.has(reference)) return;
+      const count = headlineCounts.get(reference.toLowerCase()) || 0;
+      if (count === 0) {
+        diagnostics.push({
+          row: lineNumber(index),
+          column: "Related",
+          severity: SEVERITY.WARNING,
+          message: `Related event "${reference}" not found; the link will be left out`,
+        });
+      } else if (count > 1) {
+        diagnostics.push({
+          row: lineNumber(index),
+          column: "Related",
+          severity: SEVERITY.WARNING,
+          message: `Related event "${reference}" matches ${count} headlines; the first is linked, use its ID to pick another`,
+        });
+      }
+    });
+  });
+
+  return diagnostics;
+};
+
+/**
+ * Counts diagnostics by severity.
+ * @param {Array<object>} diagnostics - Diagnostics from validateCsvData.
+ * @returns {{ errors: number, warnings: number }}
+ */
+export const countDiagnostics = (diagnostics) => ({
+  errors: diagnostics.filter((d) => d.severity === SEVERITY.ERROR).length,
+  warnings: diagnostics.filter((d) => d.severity === SEVERITY.WARNING).length,
+});
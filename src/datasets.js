@@ -0,0 +1,81 @@
+import manifest from "./datasets.json";
+// Compiled at build time by the timeline-datasets Vite plugin
+import datasetLoaders, { sources, links } from "virtual:timeline-datasets";
+
+/**
+ * Registry of the timelines the app can show, read from datasets.json. Adding a
+ * timeline is a matter of dropping its CSV next to the others and adding an
+ * entry to the manifest.
+ *
+ * - id: stable identifier, used in localStorage keys (never rename an existing one)
+ * - label: text shown in the timeline-type selector
+ * - source: path of the CSV relative to the manifest
+ * - title: headline of the TimelineJS title slide
+ * - delimiter: column delimiter used by the CSV
+ * - timelineOptions: TimelineJS options overriding the shared defaults
+ * - renderer (optional): "native" (default) for the built-in timeline, or
+ *   "timelinejs" for Knight Lab's TimelineJS loaded from its CDN
+ * - defaultGroups: groups active on first visit (null means every group)
+ * - groups (optional): the groups rows may use; others are reported as data issues
+ * - quiz (optional): quiz settings; `officeHolders` ({ group, title, match }) names
+ *   the group whose spans answer "who was in office" questions, `match` being a
+ *   pattern the holders' text must match
+ * - eras (optional): rows shown as eras, bands framing the other events,
+ *   rather than as slides; `groups` and `types` select the rows, `match` is a
+ *   pattern their text must also match and `keepEvents` keeps them as slides
+ *   too (see eras.js)
+ *
+ * Each entry gets a `load` function resolving to the compiled dataset
+ * ({ timeline, groups, diagnostics, error }, see compileCsv), a `loadSource`
+ * function resolving to the text of its CSV, and `linkedDatasets`, the ids of
+ * the datasets its events link to.
+ */
+export const DATASETS = manifest.map((dataset) => ({
+  ...dataset,
+  linkedDatasets: links[dataset.id] || [],
+  load: () => datasetLoaders[dataset.id]().then((module) => module.default),
+  loadSource: () => sources[dataset.id]().then((module) => module.default),
+}));
+
+export const DEFAULT_DATASET_ID = DATASETS[0].id;
+
+// TimelineJS options shared by every dataset
+const BASE_TIMELINE_OPTIONS = {
+  start_at_end: false,
+  default_bg_color: "#ffffff",
+  timenav_height: 150,
+  scale_factor: 2,
+  initial_zoom: 4,
+  zoom_sequence: [0.5, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89],
+  duration: 1000,
+  use_tl_attribution: false, // Remove the attribution link at the bottom
+};
+
+/**
+ * Looks up a dataset by id, falling back to the default dataset.
+ * @param {string} id - The dataset id.
+ * @param {Array<object>} [datasets] - The datasets to look in, e.g. with the
+ *   user's own (see localDatasets.js); the manifest's by default.
+ * @returns {object} The matching dataset entry.
+ */
+export const getDataset = (id, datasets = DATASETS) =>
+  datasets.find((dataset) => dataset.id === id) ||
+  DATASETS.find((dataset) => dataset.id === DEFAULT_DATASET_ID);
+
+/**
+ * Builds the TimelineJS options for a dataset.
+ * @param {object} dataset - A manifest entry.
+ * @returns {object} TimelineJS options.
+ */
+export const getTimelineOptions = (dataset) => ({
+  ...BASE_TIMELINE_OPTIONS,
+  ...dataset.timelineOptions,
+});
+
+/**
+ * Builds the localStorage key holding a per-dataset value, e.g. `activeGroups_modern`.
+ * @param {string} name - The name of the stored value.
+ * @param {object} dataset - A manifest entry.
+ * @returns {string} The localStorage key.
+ */
+export const getStorageKey = (name, dataset) => `${name}_${dataset.id}`;
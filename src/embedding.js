@@ -0,0 +1,39 @@
+/**
+ * Checks if the page is loaded inside an iframe.
+ * @returns {boolean}
+ */
+export const isInsideIframe = () => {
+  try {
+    return window.self !== window.top;
+  } catch {
+    // If we can't access window.top due to same-origin policy,
+    // we're definitely inside an iframe
+    return true;
+  }
+};
+
+/**
+ * Checks if the page is served from this machine, e.g. in development.
+ * @returns {boolean}
+ */
+export const isLocalhost = () =>
+  window.location.hostname === "localhost" ||
+  window.location.hostname === "127.0.0.1";
+
+/**
+ * Checks if the page runs as an installed app (see manifest.webmanifest).
+ * @returns {boolean}
+ */
+export const isInstalledApp = () =>
+  window.matchMedia("(display-mode: standalone)").matches ||
+  window.navigator.standalone === true; // iOS Safari
+
+/**
+ * Checks if authoring tools such as the CSV editor are shown: in development,
+ * on localhost, or with an `author` parameter in the URL (e.g. `?author`).
+ * @returns {boolean}
+ */
+export const isAuthorMode = () =>
+  import.meta.env.DEV ||
+  isLocalhost() ||
+  new URLSearchParams(window.location.search).has("author");
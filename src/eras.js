@@ -0,0 +1,83 @@
+// Shared by the app, the Vite plugin and the command-line compiler, so it has
+// no imports and stays loadable by plain Node.
+
+/**
+ * Eras: spans such as periods, dynasties or terms of office that frame the
+ * other events instead of being slides of their own. They are TimelineJS
+ * `eras` ({ start_date, end_date, text: { headline, text } }), plus the
+ * `display_date`, `group`, `type`, `unique_id` and `related` of the row they
+ * were made from.
+ *
+ * Which rows become eras is set per dataset (see the manifest's `eras`):
+ * - groups: groups whose rows are eras
+ * - types: `Type` values whose rows are eras
+ * - match (optional): pattern the row's text must also match
+ * - keepEvents (optional): also keep the rows as events, e.g. so quizzes can
+ *   still ask about them
+ * Only rows with an end date can be eras.
+ */
+
+/**
+ * Tells whether an event is to be shown as an era.
+ * @param {object} event - TimelineJS event.
+ * @param {{ groups?: Array<string>, types?: Array<string>, match?: string }|null} config
+ * @returns {boolean}
+ */
+export const isEra = (event, config) => {
+  if (!config || !event.end_date) return false;
+  const selected =
+    (config.groups || []).includes(event.group) ||
+    (config.types || []).includes(event.type);
+  return (
+    selected &&
+    (!config.match || new RegExp(config.match).test(event.text.text))
+  );
+};
+
+/**
+ * Splits events into the slides and the eras of a timeline.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {object|null} config - The dataset's era settings.
+ * @returns {{ events: Array<object>, eras: Array<object> }}
+ */
+export const extractEras = (events, config) => {
+  const eras = [];
+  const slides = [];
+  events.forEach((event) => {
+    if (!isEra(event, config)) {
+      slides.push(event);
+      return;
+    }
+    eras.push({
+      start_date: event.start_date,
+      end_date: event.end_date,
+      ...(event.display_date && { display_date: event.display_date }),
+      text: { headline: event.text.headline, text: event.text.text },
+      group: event.group,
+      ...(event.type && { type: event.type }),
+      unique_id: event.unique_id,
+      ...(event.related && { related: event.related }),
+    });
+    if (config.keepEvents) slides.push(event);
+  });
+  return { events: slides, eras };
+};
+
+/**
+ * Finds the eras an event falls in: those spanning its start year, except the
+ * event's own era.
+ * @param {Array<object>} eras - The timeline's eras.
+ * @param {object} event - TimelineJS event.
+ * @returns {Array<object>} The eras, the most recently begun first.
+ */
+export const findEras = (eras, event) => {
+  const year = event.start_date.year;
+  return eras
+    .filter(
+      (era) =>
+        era.unique_id !== event.unique_id &&
+        era.start_date.year <= year &&
+        year <= era.end_date.year
+    )
+    .sort((a, b) => b.start_date.year - a.start_date.year);
+};
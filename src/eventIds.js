@@ -0,0 +1,87 @@
+/**
+ * Generation of the `unique_id` of timeline events. Saved positions, search
+ * results and links all refer to events by these IDs, so they must only depend
+ * on the event's own data and never on randomness or on other rows, except
+ * for the deterministic suffix that tells colliding events apart.
+ */
+
+/**
+ * Turns text into an ID fragment: diacritics are dropped and every run of
+ * punctuation or whitespace becomes a single dash. Letter case is kept, so
+ * headlines of only letters, digits and spaces give the IDs they always did;
+ * see findEventId for those of other headlines.
+ * @param {string} text - Text to slugify.
+ * @returns {string} The slug, possibly empty.
+ */
+export const slugify = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Builds the ID of an event: the explicit `Unique ID` if the CSV sets one,
+ * otherwise `event-<year>-<slugified headline>`.
+ * @param {object} parts
+ * @param {string} [parts.id] - The `Unique ID` column.
+ * @param {number} parts.year - The start year.
+ * @param {string} [parts.headline] - The headline.
+ * @returns {string} The event ID, before disambiguation.
+ */
+export const createEventId = ({ id, year, headline }) => {
+  if (id && id.trim() !== "") return id.trim();
+  const slug = slugify(headline || "");
+  return slug ? `event-${year}-${slug}` : `event-${year}`;
+};
+
+// The ID an event had before IDs were slugified: its headline with spaces
+// turned into dashes, e.g. "event-1784-Pitt's-India-Act"
+const createLegacyEventId = (event) =>
+  `event-${event.start_date.year}-${event.text.headline.replace(/\s+/g, "-")}`;
+
+/**
+ * Finds the event an ID refers to, also by the ID it had before IDs were
+ * slugified, so that positions saved back then still resolve.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {string} id - A saved event ID.
+ * @returns {string|null} The current ID of the event, or null if none matches.
+ */
+export const findEventId = (events, id) => {
+  if (!id) return null;
+  if (events.some((event) => event.unique_id === id)) return id;
+  return (
+    events.find((event) => createLegacyEventId(event) === id)?.unique_id ||
+    null
+  );
+};
+
+/**
+ * Makes a list of IDs unique, in order: the first occurrence of an ID keeps
+ * it and later ones get `-2`, `-3`, ... appended, skipping suffixed IDs that
+ * are already taken. The result only depends on the input list.
+ * @param {Array<string>} ids - IDs in CSV order.
+ * @returns {{ ids: Array<string>, duplicates: Array<{ index: number, id: string, renamedTo: string }> }}
+ */
+export const disambiguateIds = (ids) => {
+  const reserved = new Set(ids);
+  const taken = new Set();
+  const duplicates = [];
+
+  const uniqueIds = ids.map((id, index) => {
+    if (!taken.has(id)) {
+      taken.add(id);
+      return id;
+    }
+    let suffix = 2;
+    while (taken.has(`${id}-${suffix}`) || reserved.has(`${id}-${suffix}`)) {
+      suffix += 1;
+    }
+    const renamedTo = `${id}-${suffix}`;
+    taken.add(renamedTo);
+    duplicates.push({ index, id, renamedTo });
+    return renamedTo;
+  });
+
+  return { ids: uniqueIds, duplicates };
+};
@@ -0,0 +1,81 @@
+import { toPlainText } from "./richText";
+import { compareByDate } from "./chronology";
+
+/**
+ * Sorting and row layout of the list view, which shows events as a table
+ * optionally split into collapsible sections per group.
+ */
+
+export const SORT_COLUMNS = {
+  DATE: "date",
+  HEADLINE: "headline",
+  GROUP: "group",
+  TYPE: "type",
+  TEXT: "text",
+};
+
+const compareText = (getText) => (a, b) =>
+  getText(a).localeCompare(getText(b), undefined, { sensitivity: "base" });
+
+const COMPARATORS = {
+  [SORT_COLUMNS.DATE]: compareByDate,
+  [SORT_COLUMNS.HEADLINE]: compareText((event) =>
+    toPlainText(event.text.headline)
+  ),
+  [SORT_COLUMNS.GROUP]: compareText((event) => event.group || ""),
+  [SORT_COLUMNS.TYPE]: compareText((event) => event.type || ""),
+  [SORT_COLUMNS.TEXT]: compareText((event) => toPlainText(event.text.text)),
+};
+
+/**
+ * Sorts events by a column, ties being broken by date.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {string} column - One of SORT_COLUMNS.
+ * @param {"asc"|"desc"} direction
+ * @returns {Array<object>} A sorted copy.
+ */
+export const sortEvents = (events, column, direction) => {
+  const compare = COMPARATORS[column] || compareByDate;
+  const sign = direction === "desc" ? -1 : 1;
+  return [...events].sort(
+    (a, b) => sign * compare(a, b) || compareByDate(a, b)
+  );
+};
+
+/**
+ * Lays out sorted events as table rows. When grouped, each group (in
+ * alphabetical order) gets a header row followed by its events, unless it is
+ * collapsed.
+ * @param {Array<object>} events - Sorted TimelineJS events.
+ * @param {object} options
+ * @param {boolean} options.grouped - Whether to split the rows per group.
+ * @param {Set<string>} options.collapsed - Groups whose events are hidden.
+ * @returns {Array<{ type: "group", group: string, count: number, collapsed: boolean }|{ type: "event", event: object }>}
+ */
+export const buildTableRows = (events, { grouped, collapsed }) => {
+  if (!grouped) return events.map((event) => ({ type: "event", event }));
+
+  const byGroup = new Map();
+  events.forEach((event) => {
+    if (!byGroup.has(event.group)) byGroup.set(event.group, []);
+    byGroup.get(event.group).push(event);
+  });
+
+  return [...byGroup.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .flatMap((group) => {
+      const groupEvents = byGroup.get(group);
+      const isCollapsed = collapsed.has(group);
+      return [
+        {
+          type: "group",
+          group,
+          count: groupEvents.length,
+          collapsed: isCollapsed,
+        },
+        ...(isCollapsed
+          ? []
+          : groupEvents.map((event) => ({ type: "event", event }))),
+      ];
+    });
+};
@@ -0,0 +1,322 @@
+import Papa from "papaparse";
+import { toPlainText } from "./richText";
+import { compareByDate } from "./chronology";
+import { formatEventDate } from "./timelineScale";
+import { formatRelated } from "./relatedEvents";
+
+/**
+ * Serializers for exporting the filtered events of a timeline. Event text is
+ * TimelineJS HTML: it is converted to Markdown for Markdown, to plain text for
+ * iCalendar, and kept as is in JSON and CSV, which the app reads back.
+ */
+
+export const EXPORT_FORMATS = {
+  MARKDOWN_BY_DECADE: "markdown-decade",
+  MARKDOWN_BY_GROUP: "markdown-group",
+  JSON: "json",
+  CSV: "csv",
+  ICS: "ics",
+};
+
+// Columns of the exported CSV, in the schema of the dataset CSVs
+const CSV_FIELDS = [
+  "Year",
+  "Month",
+  "Day",
+  "Time",
+  "End Year",
+  "End Month",
+  "End Day",
+  "End Time",
+  "Display Date",
+  "Headline",
+  "Text",
+  "Group",
+  "Media",
+  "Media Credit",
+  "Media Caption",
+  "Media Thumbnail",
+  "Alt Text",
+  "Title",
+  "Link",
+  "Link Target",
+  "Type",
+  "Background",
+  "Background Color",
+  "Autolink",
+  "Unique ID",
+  "Related",
+];
+
+/**
+ * Converts TimelineJS HTML to Markdown: emphasis, links, line breaks,
+ * paragraphs and list items are kept, other markup is dropped.
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToMarkdown = (html) => {
+  const markdown = String(html || "")
+    .replace(/\s+/g, " ") // Line breaks in HTML source are just spaces
+    .replace(/<(b|strong)>(.*?)<\/\1>/gis, "**$2**")
+    .replace(/<(i|em)>(.*?)<\/\1>/gis, "_$2_")
+    .replace(
+      /<a\s[^>]*href=["']([^"']*)["'][^>]*>(.*?)<\/a>/gis,
+      (match, href, text) => `[${toPlainText(text)}](${href})`
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|ul|ol|h\d)>/gi, "\n\n");
+  // Strip the remaining tags line by line so the breaks survive
+  return markdown
+    .split("\n")
+    .map((line) => toPlainText(line))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+// Groups events by a key, keeping the order in which keys first appear
+const groupBy = (events, getKey) => {
+  const groups = new Map();
+  events.forEach((event) => {
+    const key = getKey(event);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  });
+  return groups;
+};
+
+const decadeOf = (event) => {
+  const decade = Math.floor(event.start_date.year / 10) * 10;
+  return decade < 0 ? `${-decade - 9}–${-decade} BCE` : `${decade}s`;
+};
+
+/**
+ * Exports events as a Markdown document with a section per decade or group.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {object} options
+ * @param {string} options.title - Title of the document.
+ * @param {"decade"|"group"} [options.groupBy] - How to split the sections.
+ * @returns {string}
+ */
+export const toMarkdown = (events, { title, groupBy: sections = "decade" }) => {
+  const sorted = [...events].sort(compareByDate);
+  const grouped =
+    sections === "group"
+      ? new Map(
+          [...groupBy(sorted, (event) => event.group || "Ungrouped")].sort(
+            ([a], [b]) => a.localeCompare(b)
+          )
+        )
+      : groupBy(sorted, decadeOf);
+
+  const lines = [`# ${title}`, ""];
+  grouped.forEach((sectionEvents, section) => {
+    lines.push(`## ${section}`, "");
+    sectionEvents.forEach((event) => {
+      const details = sections === "group" ? "" : ` _(${event.group})_`;
+      lines.push(
+        `- **${formatEventDate(event)}**: ${toPlainText(event.text.headline)}${details}`
+      );
+      const text = htmlToMarkdown(event.text.text);
+      if (text) {
+        lines.push(...text.split("\n").map((line) => (line ? `  ${line}` : "")));
+      }
+    });
+    lines.push("");
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Exports events as TimelineJS JSON.
+ * @param {object} timeline - The dataset's TimelineJS JSON, for its title slide and eras.
+ * @param {Array<object>} events - TimelineJS events.
+ * @returns {string}
+ */
+export const toTimelineJson = (timeline, events) =>
+  JSON.stringify(
+    {
+      title: timeline.title,
+      events,
+      ...(timeline.eras && { eras: timeline.eras }),
+    },
+    null,
+    2
+  );
+
+const formatTime = (date) =>
+  date.hour === undefined
+    ? ""
+    : [date.hour, date.minute || 0, date.second]
+        .filter((part) => part !== undefined)
+        .map((part) => String(part).padStart(2, "0"))
+        .join(":");
+
+/**
+ * Exports events as a pipe-delimited CSV in the dataset schema, with the
+ * event IDs, so compiling it gives back the same events. The timeline's eras
+ * are exported as rows too, so that related events referring to them are
+ * still found.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {Array<object>} [eras] - The timeline's eras.
+ * @returns {string}
+ */
+export const toCsv = (events, eras = []) => {
+  // Eras also kept as events are exported once
+  const eventIds = new Set(events.map((event) => event.unique_id));
+  const rows = [
+    ...events,
+    ...eras.filter((era) => !eventIds.has(era.unique_id)),
+  ];
+  return Papa.unparse(
+    {
+      fields: CSV_FIELDS,
+      data: rows.map((event) => {
+        const start = event.start_date;
+        const end = event.end_date || {};
+        const media = event.media || {};
+        return [
+          // "1500?" keeps the event approximate when read back
+          event.approximate ? `${start.year}?` : start.year,
+          start.month ?? "",
+          start.day ?? "",
+          formatTime(start),
+          end.year ?? "",
+          end.month ?? "",
+          end.day ?? "",
+          event.end_date ? formatTime(end) : "",
+          event.display_date || "",
+          event.text.headline,
+          event.text.text,
+          event.group,
+          media.url || "",
+          media.credit || "",
+          media.caption || "",
+          media.thumbnail || "",
+          media.alt || "",
+          media.title || "",
+          media.link || "",
+          media.link_target || "",
+          event.type || "",
+          event.background?.url || "",
+          event.background?.color || "",
+          event.autolink === false ? "FALSE" : "",
+          event.unique_id,
+          formatRelated(event.related),
+        ];
+      }),
+    },
+    { delimiter: "|", newline: "\n" }
+  );
+};
+
+// Escapes an iCalendar text value
+const escapeIcsText = (text) =>
+  text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Folds a content line to 75 octets, as iCalendar requires
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Continuations start with a space
+    if (new TextEncoder().encode(current + char).length > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const formatIcsDate = ({ year, month, day }) =>
+  `${String(year).padStart(4, "0")}${String(month).padStart(2, "0")}${String(
+    day
+  ).padStart(2, "0")}`;
+
+// The day after a date, as iCalendar all-day events end on the next day
+const nextDay = ({ year, month, day }) => {
+  const date = new Date(0);
+  // Unlike Date.UTC, setUTCFullYear doesn't map years 0–99 to 1900–1999
+  date.setUTCFullYear(year, month - 1, day + 1);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+};
+
+// Events with a full calendar date iCalendar can represent
+const hasCalendarDate = (date) =>
+  date && date.year >= 1 && date.year <= 9999 && date.month && date.day;
+
+/**
+ * Exports the events with a full date (year, month and day in 1–9999) as an
+ * iCalendar file of all-day events; other events are left out.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {object} options
+ * @param {string} options.title - Calendar name.
+ * @param {string} options.uidDomain - Suffix making event UIDs globally unique.
+ * @param {Date} [options.now] - Time stamp of the export.
+ * @returns {{ content: string, count: number }} The file and the number of events in it.
+ */
+export const toIcs = (events, { title, uidDomain, now = new Date() }) => {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const dated = events.filter((event) => hasCalendarDate(event.start_date));
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Timeline//Event export//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeIcsText(title)}`,
+  ];
+  dated.forEach((event) => {
+    const end = hasCalendarDate(event.end_date)
+      ? event.end_date
+      : event.start_date;
+    const description = toPlainText(event.text.text);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.unique_id}@${uidDomain}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.start_date)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(nextDay(end))}`,
+      `SUMMARY:${escapeIcsText(toPlainText(event.text.headline))}`,
+      ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+      ...(event.group ? [`CATEGORIES:${escapeIcsText(event.group)}`] : []),
+      "END:VEVENT"
+    );
+  });
+  lines.push("END:VCALENDAR");
+
+  return {
+    content: lines.map(foldIcsLine).join("\r\n") + "\r\n",
+    count: dated.length,
+  };
+};
+
+/**
+ * Makes the browser download text as a file.
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(
+    new Blob([content], { type: `${mimeType};charset=utf-8` })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,232 @@
+// Shared by the app, the Vite plugin and the command-line compiler, so it has
+// no imports and stays loadable by plain Node.
+
+/**
+ * Parsing and formatting of the historical dates written in the Year columns
+ * of the CSVs. Besides plain integers (negative years being BCE), a cell may
+ * hold an era ("320 BCE", "AD 750"), an approximate year ("c. 1500 BCE",
+ * "1500?"), a decade ("1850s"), a century ("3rd century BCE", "1800s"), a
+ * millennium ("2nd millennium BCE") or a range of any of these
+ * ("50,000–10,000 BCE", "c. 320 BCE – 50 CE"). Years are never zero: 1 BCE
+ * is -1 and is followed by 1 CE.
+ */
+
+export const DATE_PRECISIONS = {
+  YEAR: "year",
+  DECADE: "decade",
+  CENTURY: "century",
+  MILLENNIUM: "millennium",
+};
+
+const APPROXIMATE_PREFIX = /^(?:circa|approx\.?|ca\.?|c\.?|~)\s*(?=\d)/i;
+const UNCERTAIN_SUFFIX = /\s*\?$/;
+const ERA_PREFIX = /^(?:ad|a\.d\.)\s*/i;
+const ERA_SUFFIX = /\s*\b(bce|bc|b\.c\.e\.|b\.c\.|ce|ad|c\.e\.|a\.d\.)$/i;
+const NUMBER_PATTERN = /^-?(?:\d{1,3}(?:,\d{3})+|\d+)$/;
+const DECADE_PATTERN = /^(\d*0)'?s$/;
+const ORDINAL_PATTERN = /^(\d+)(?:st|nd|rd|th)\s+(century|millennium)$/i;
+// Separators of a range; a hyphen only counts between two parts
+const RANGE_SEPARATOR = /\s*(?:–|—|\bto\b)\s*|(?<=\S)\s*-\s*(?=\S)/gi;
+
+const isBce = (era) => Boolean(era) && era.toLowerCase().startsWith("b");
+
+const ordinal = (number) => {
+  const tens = number % 100;
+  if (tens >= 11 && tens <= 13) return `${number}th`;
+  return `${number}${["th", "st", "nd", "rd"][number % 10] || "th"}`;
+};
+
+// Converts a span counted from the start of an era to signed years
+const toSignedSpan = (first, last, bce) =>
+  bce ? { start: -last, end: -first } : { start: first, end: last };
+
+/**
+ * Parses one date, without a range.
+ * @returns {{ start: number, end: number, approximate: boolean, precision: string, era: string|null }|null}
+ */
+const parseSingle = (text, defaultEra = null) => {
+  let value = text.trim();
+  let approximate = false;
+  if (APPROXIMATE_PREFIX.test(value)) {
+    approximate = true;
+    value = value.replace(APPROXIMATE_PREFIX, "");
+  }
+  if (UNCERTAIN_SUFFIX.test(value)) {
+    approximate = true;
+    value = value.replace(UNCERTAIN_SUFFIX, "");
+  }
+
+  let era = null;
+  if (ERA_PREFIX.test(value)) {
+    era = "CE";
+    value = value.replace(ERA_PREFIX, "");
+  }
+  const eraMatch = value.match(ERA_SUFFIX);
+  if (eraMatch) {
+    era = isBce(eraMatch[1]) ? "BCE" : "CE";
+    value = value.slice(0, eraMatch.index).trim();
+  }
+  const bce = isBce(era || defaultEra);
+
+  if (NUMBER_PATTERN.test(value)) {
+    const number = parseInt(value.replace(/,/g, ""), 10);
+    // A negative year is already BCE, and "-320 BCE" makes no sense
+    if ((number < 0 && era) || number === 0) return null;
+    const year = bce ? -number : number;
+    return {
+      start: year,
+      end: year,
+      approximate,
+      precision: DATE_PRECISIONS.YEAR,
+      era,
+    };
+  }
+
+  const decade = value.match(DECADE_PATTERN);
+  if (decade) {
+    const first = parseInt(decade[1], 10);
+    // "1800s" is read as the century, "1850s" as the decade
+    const isCentury = first % 100 === 0 && first > 0;
+    const span = isCentury ? 100 : 10;
+    // BCE decades are counted down: the 320s BCE are 329 to 320 BCE
+    const { start, end } = bce
+      ? { start: -(first + span - 1), end: -Math.max(1, first) }
+      : { start: Math.max(1, first), end: first + span - 1 };
+    return {
+      start,
+      end,
+      approximate,
+      precision: isCentury ? DATE_PRECISIONS.CENTURY : DATE_PRECISIONS.DECADE,
+      era,
+    };
+  }
+
+  const ordinalMatch = value.match(ORDINAL_PATTERN);
+  if (ordinalMatch) {
+    const number = parseInt(ordinalMatch[1], 10);
+    const isMillennium = ordinalMatch[2].toLowerCase() === "millennium";
+    const span = isMillennium ? 1000 : 100;
+    if (number === 0) return null;
+    return {
+      ...toSignedSpan((number - 1) * span + 1, number * span, bce),
+      approximate,
+      precision: isMillennium
+        ? DATE_PRECISIONS.MILLENNIUM
+        : DATE_PRECISIONS.CENTURY,
+      era,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Parses the text of a Year cell.
+ * @param {string} text - e.g. "1857", "-320", "c. 320 BCE", "3rd century BCE",
+ *   "1850s" or "50,000–10,000 BCE".
+ * @returns {{ start: number, end: number, approximate: boolean, precision: string, label: string|null }|null}
+ *   The first and last years covered (equal for a single year), whether the
+ *   date is approximate, how precise it is, and the text to display for it
+ *   (null when the plain year says it all). Null if the text isn't a date.
+ */
+export const parseYearValue = (text) => {
+  const value = String(text ?? "").trim();
+  if (value === "") return null;
+
+  const single = parseSingle(value);
+  if (single) {
+    return {
+      start: single.start,
+      end: single.end,
+      approximate: single.approximate,
+      precision: single.precision,
+      label: formatDateLabel(single),
+    };
+  }
+
+  // Try every separator: "-" also starts negative years
+  for (const match of value.matchAll(RANGE_SEPARATOR)) {
+    const left = value.slice(0, match.index);
+    const right = value.slice(match.index + match[0].length);
+    const last = parseSingle(right);
+    // "50,000–10,000 BCE": the era of the end applies to the start too
+    const first = last && parseSingle(left, last.era);
+    if (!first || !last) continue;
+    if (last.end < first.start) return null;
+    return {
+      start: first.start,
+      end: last.end,
+      approximate: first.approximate || last.approximate,
+      precision: first.precision,
+      label: formatDateLabel(first, last),
+    };
+  }
+  return null;
+};
+
+/**
+ * Formats a year, e.g. "1857", "326 BCE" or "100,000 BCE".
+ * @param {number} year
+ * @returns {string}
+ */
+export const formatYear = (year) => {
+  const absolute = Math.abs(year);
+  const text =
+    absolute >= 10000 ? absolute.toLocaleString("en") : String(absolute);
+  return year < 0 ? `${text} BCE` : text;
+};
+
+// Text of one parsed date, without its era
+const formatPart = ({ start, end, precision }) => {
+  const bce = end < 0;
+  switch (precision) {
+    case DATE_PRECISIONS.DECADE:
+      return `${bce ? -end : start}s`;
+    case DATE_PRECISIONS.CENTURY:
+      // "1800s" spans 1800 to 1899, unlike the 19th century
+      if ((bce ? -end : start) % 100 === 0) return `${bce ? -end : start}s`;
+      return `${ordinal(Math.ceil(Math.abs(bce ? start : end) / 100))} century`;
+    case DATE_PRECISIONS.MILLENNIUM:
+      return `${ordinal(
+        Math.ceil(Math.abs(bce ? start : end) / 1000)
+      )} millennium`;
+    default:
+      return formatYear(Math.abs(start)).replace(" BCE", "");
+  }
+};
+
+// Plain CE years read fine as they are
+const isPlainYear = ({ start, approximate, precision }) =>
+  start > 0 && !approximate && precision === DATE_PRECISIONS.YEAR;
+
+/**
+ * Formats a single date, or the two ends of a range, as display text, e.g.
+ * "c. 320 BCE", "50,000–10,000 BCE", "3rd century BCE" or "600 BCE – 750 CE".
+ * The era is only written once when both ends share it.
+ * @param {{ start: number, end: number, approximate: boolean, precision: string }} first
+ *   The date, or the start of the range, as parsed by parseYearValue from a
+ *   cell holding a single date.
+ * @param {object|null} [last] - The end of the range, parsed the same way.
+ * @returns {string|null} Null when plain CE years say it all.
+ */
+export const formatDateLabel = (first, last = null) => {
+  const parts = last ? [first, last] : [first];
+  if (parts.every(isPlainYear)) return null;
+  const prefix = parts.some((part) => part.approximate) ? "c. " : "";
+  const firstBce = first.start < 0;
+
+  if (!last) return `${prefix}${formatPart(first)}${firstBce ? " BCE" : ""}`;
+
+  const lastBce = last.end < 0;
+
+  if (firstBce === lastBce) {
+    const era = firstBce ? " BCE" : "";
+    const separator =
+      first.precision === DATE_PRECISIONS.YEAR &&
+      last.precision === DATE_PRECISIONS.YEAR
+        ? "–"
+        : " – ";
+    return `${prefix}${formatPart(first)}${separator}${formatPart(last)}${era}`;
+  }
+  return `${prefix}${formatPart(first)} BCE – ${formatPart(last)} CE`;
+};
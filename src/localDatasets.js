@@ -0,0 +1,129 @@
+import { compileCsv, getCompileOptions } from "./compileDataset";
+import { DATASETS } from "./datasets";
+
+/**
+ * Timelines loaded by users from their own CSVs. They are kept in IndexedDB,
+ * which unlike localStorage has room for whole files, until the user removes
+ * them. A stored timeline is { id, label, fileName, delimiter, csv, addedAt },
+ * `csv` being already rewritten with our column names (see csvImport.js).
+ */
+
+const DATABASE_NAME = "timelineDatasets";
+const STORE_NAME = "datasets";
+
+// Prefix of the ids of local datasets, which can't clash with manifest ids
+const ID_PREFIX = "local-";
+
+/**
+ * Tells whether a dataset was loaded by the user rather than bundled.
+ * @param {object} dataset - A dataset entry.
+ * @returns {boolean}
+ */
+export const isLocalDataset = (dataset) => dataset.id.startsWith(ID_PREFIX);
+
+/**
+ * Creates the id of a new local dataset.
+ * @returns {string}
+ */
+export const createLocalDatasetId = () =>
+  `${ID_PREFIX}${Date.now().toString(36)}`;
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DATABASE_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs one request against the store and resolves to its result
+const withStore = (mode, makeRequest) =>
+  openDatabase().then(
+    (database) =>
+      new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+          database.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          database.close();
+          reject(transaction.error);
+        };
+      })
+  );
+
+/**
+ * Loads every stored local dataset, oldest first.
+ * @returns {Promise<Array<object>>} Stored timelines, empty if IndexedDB is
+ *   unavailable.
+ */
+export const loadLocalDatasets = () =>
+  withStore("readonly", (store) => store.getAll())
+    .then((records) =>
+      records.sort((a, b) => a.addedAt.localeCompare(b.addedAt))
+    )
+    .catch((error) => {
+      console.error("Error loading local datasets:", error);
+      return [];
+    });
+
+/**
+ * Stores a local dataset, replacing any with the same id.
+ * @param {object} record - A stored timeline.
+ * @returns {Promise<void>}
+ */
+export const saveLocalDataset = (record) =>
+  withStore("readwrite", (store) => store.put(record));
+
+/**
+ * Deletes a stored local dataset along with what was saved in localStorage
+ * for it, e.g. its active groups and bookmarks.
+ * @param {string} id - The dataset id.
+ * @returns {Promise<void>}
+ */
+export const deleteLocalDataset = (id) =>
+  withStore("readwrite", (store) => store.delete(id)).then(() => {
+    try {
+      // Per-dataset keys end with the id (see getStorageKey)
+      Object.keys(localStorage)
+        .filter((key) => key.endsWith(`_${id}`))
+        .forEach((key) => localStorage.removeItem(key));
+    } catch (error) {
+      console.error("Error deleting local dataset settings:", error);
+    }
+  });
+
+/**
+ * Turns a stored timeline into a dataset entry like those of the manifest,
+ * compiled in the browser the first time it is loaded. Its events may refer
+ * to the bundled datasets.
+ * @param {object} record - A stored timeline.
+ * @returns {object} A dataset entry.
+ */
+export const createLocalDataset = (record) => {
+  const dataset = {
+    id: record.id,
+    label: record.label,
+    source: record.fileName,
+    title: record.label,
+    delimiter: record.delimiter,
+    defaultGroups: null,
+  };
+  let compiled = null;
+  return {
+    ...dataset,
+    load: () => {
+      compiled ||= Promise.resolve().then(() =>
+        compileCsv(
+          record.csv,
+          getCompileOptions(dataset, [...DATASETS, dataset])
+        )
+      );
+      return compiled;
+    },
+    loadSource: () => Promise.resolve(record.csv),
+  };
+};
@@ -1,32 +1,15 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
-
-// Function to check if the page is loaded inside an iframe
-const isInsideIframe = () => {
-  try {
-    return window.self !== window.top;
-  } catch (e) {
-    // If we can't access window.top due to same-origin policy,
-    // we're definitely inside an iframe
-    return true;
-  }
-};
-
-// Function to check if the page is running on localhost
-const isLocalhost = () => {
-  return (
-    window.location.hostname === "localhost" ||
-    window.location.hostname === "127.0.0.1"
-  );
-};
+import UpdatePrompt from "./UpdatePrompt.jsx";
+import { isInsideIframe, isInstalledApp, isLocalhost } from "./embedding";
 
 // Get the root element
 const rootElement = document.getElementById("root");
 
-// Render the app if it's inside an iframe OR running on localhost
+// Render the app if it's inside an iframe, installed OR running on localhost
 const shouldDisplay = () => {
-  return isInsideIframe() || isLocalhost();
+  return isInsideIframe() || isInstalledApp() || isLocalhost();
 };
 
 if (shouldDisplay()) {
@@ -34,6 +17,7 @@ if (shouldDisplay()) {
   createRoot(rootElement).render(
     <StrictMode>
       <App />
+      <UpdatePrompt />
     </StrictMode>
   );
 } else {
@@ -0,0 +1,189 @@
+/**
+ * Generation of multiple-choice quiz questions from timeline events.
+ *
+ * Question types:
+ * - year: "In which year did X happen?"
+ * - event: "Which of these happened in YEAR?"
+ * - officeHolder: "Who was Governor-General when X happened?", answered from
+ *   the spans of a dataset's office holders (see the manifest's `quiz` entry)
+ *
+ * Distractors come from the events closest in time in the same group, so the
+ * choices are plausible rather than obviously wrong.
+ */
+
+import { formatYear } from "./timelineScale";
+import { toPlainText } from "./richText";
+
+export const QUESTION_TYPES = {
+  YEAR: "year",
+  EVENT: "event",
+  OFFICE_HOLDER: "officeHolder",
+};
+
+const CHOICE_COUNT = 4;
+
+const startYear = (event) => event.start_date.year;
+
+// Headlines are HTML, while questions are shown as plain text
+const headlineOf = (event) => toPlainText(event.text.headline);
+
+// Shuffles a copy of an array (Fisher-Yates)
+export const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Sorts candidate events by how close in time they are to an event
+const byDistanceTo = (event) => (a, b) =>
+  Math.abs(startYear(a) - startYear(event)) -
+  Math.abs(startYear(b) - startYear(event));
+
+// Events of the same group first, then any other event, each by distance in time
+const nearbyEvents = (event, events) => {
+  const others = events.filter((other) => other !== event);
+  return [
+    ...others
+      .filter((other) => other.group === event.group)
+      .sort(byDistanceTo(event)),
+    ...others
+      .filter((other) => other.group !== event.group)
+      .sort(byDistanceTo(event)),
+  ];
+};
+
+// Picks up to `count` distinct values, in order, skipping `exclude`
+const pickDistinct = (values, count, exclude) => {
+  const picked = [];
+  values.forEach((value) => {
+    if (picked.length < count && value !== exclude && !picked.includes(value)) {
+      picked.push(value);
+    }
+  });
+  return picked;
+};
+
+const yearQuestion = (event, events) => {
+  const year = startYear(event);
+  const distractors = pickDistinct(
+    nearbyEvents(event, events).map(startYear),
+    CHOICE_COUNT - 1,
+    year
+  );
+  // Make up plausible years when the dataset is too small
+  for (let offset = 1; distractors.length < CHOICE_COUNT - 1; offset++) {
+    [year + offset * 3, year - offset * 3].forEach((candidate) => {
+      if (
+        distractors.length < CHOICE_COUNT - 1 &&
+        !distractors.includes(candidate)
+      ) {
+        distractors.push(candidate);
+      }
+    });
+  }
+  return {
+    type: QUESTION_TYPES.YEAR,
+    prompt: `In which year did this happen: ${headlineOf(event)}?`,
+    answer: formatYear(year),
+    choices: shuffle([year, ...distractors]).map(formatYear),
+  };
+};
+
+const eventQuestion = (event, events) => {
+  const year = startYear(event);
+  const distractors = pickDistinct(
+    nearbyEvents(event, events)
+      // Leave out events whose span covers the year as well
+      .filter(
+        (other) =>
+          startYear(other) > year ||
+          (other.end_date || other.start_date).year < year
+      )
+      .map(headlineOf),
+    CHOICE_COUNT - 1,
+    headlineOf(event)
+  );
+  if (distractors.length < CHOICE_COUNT - 1) return null;
+  return {
+    type: QUESTION_TYPES.EVENT,
+    prompt: `Which of these happened in ${formatYear(year)}?`,
+    answer: headlineOf(event),
+    choices: shuffle([headlineOf(event), ...distractors]),
+  };
+};
+
+const officeHolderQuestion = (event, officeHolders, title) => {
+  const year = startYear(event);
+  // A holder's term covers its start year up to, but excluding, its end year
+  const holders = officeHolders.filter(
+    (holder) => startYear(holder) <= year && year < holder.end_date.year
+  );
+  // Skip ambiguous cases such as overlapping acting terms
+  if (holders.length !== 1 || holders[0] === event) return null;
+  const [holder] = holders;
+
+  const distractors = pickDistinct(
+    officeHolders
+      .filter((other) => other !== holder)
+      .sort(byDistanceTo(holder))
+      .map(headlineOf),
+    CHOICE_COUNT - 1,
+    headlineOf(holder)
+  );
+  if (distractors.length < CHOICE_COUNT - 1) return null;
+  return {
+    type: QUESTION_TYPES.OFFICE_HOLDER,
+    prompt: `Who was ${title} at the time of: ${headlineOf(event)} (${formatYear(year)})?`,
+    answer: headlineOf(holder),
+    choices: shuffle([headlineOf(holder), ...distractors]),
+  };
+};
+
+/**
+ * Finds the office holders of a dataset, i.e. the events of the configured
+ * group that span a term and whose text matches the configured pattern.
+ * @param {Array<object>} events - Every event of the dataset.
+ * @param {{ group: string, match?: string }} [config] - The manifest's `quiz.officeHolders`.
+ * @returns {Array<object>} Office holder events.
+ */
+export const findOfficeHolders = (events, config) => {
+  if (!config) return [];
+  const pattern = config.match ? new RegExp(config.match) : null;
+  return events.filter(
+    (event) =>
+      event.group === config.group &&
+      event.end_date &&
+      (!pattern || pattern.test(event.text.text))
+  );
+};
+
+/**
+ * Creates a random question about an event.
+ * @param {object} event - The event the question is about.
+ * @param {object} context
+ * @param {Array<object>} context.events - Events distractors may be drawn from.
+ * @param {Array<object>} [context.officeHolders] - See findOfficeHolders.
+ * @param {string} [context.officeTitle] - Title of the office, e.g. "Governor-General".
+ * @returns {object} The question: { type, prompt, answer, choices, eventId }.
+ */
+export const createQuestion = (
+  event,
+  { events, officeHolders = [], officeTitle = "in office" }
+) => {
+  // Keep a share of year questions even when other types are available
+  const creators =
+    Math.random() < 0.4
+      ? []
+      : shuffle([
+          () => eventQuestion(event, events),
+          () => officeHolderQuestion(event, officeHolders, officeTitle),
+        ]);
+  // Year questions always work, so they are the fallback
+  const question =
+    creators.reduce((found, create) => found || create(), null) ||
+    yearQuestion(event, events);
+  return { ...question, eventId: event.unique_id };
+};
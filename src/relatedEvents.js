@@ -0,0 +1,147 @@
+// Shared by the app, the Vite plugin and the command-line compiler, so imports
+// carry explicit extensions to stay loadable by plain Node.
+import { toPlainText } from "./richText.js";
+
+/**
+ * Cross-references between events, written in the `Related` column as a
+ * `;`-separated list of references. A reference is the ID or the headline of
+ * an event of the same dataset, or `<dataset id>:<event ID>` for an event of
+ * another dataset, e.g. "Simon Commission; ancient:event--322-Maurya-Dynasty".
+ *
+ * Compiled events list the events they refer to in `related`, as
+ * { unique_id, dataset_id } where `dataset_id` is only set for other
+ * datasets. The reverse links ("referenced by") are computed in the app from
+ * the loaded datasets, see getRelatedLinks; the datasets linking to each
+ * bundled dataset are known at build time so only they need loading.
+ */
+
+export const RELATED_SEPARATOR = ";";
+
+/**
+ * Parses the text of a Related cell.
+ * @param {string} text - The cell.
+ * @param {Array<string>} [datasetIds] - Known dataset ids; a prefix naming
+ *   none of them is part of the reference.
+ * @returns {Array<{ datasetId: string|null, reference: string }>}
+ */
+export const parseRelated = (text, datasetIds = []) =>
+  String(text ?? "")
+    .split(RELATED_SEPARATOR)
+    .map((part) => part.trim())
+    .filter((part) => part !== "")
+    .map((part) => {
+      const match = part.match(/^([^:\s]+):\s*(.+)$/);
+      return match && datasetIds.includes(match[1])
+        ? { datasetId: match[1], reference: match[2] }
+        : { datasetId: null, reference: part };
+    });
+
+/**
+ * Builds a lookup resolving references to events of one dataset: IDs match
+ * exactly, headlines as plain text ignoring letter case, and the first of several events
+ * sharing a headline wins.
+ * @param {Array<object>} events - The dataset's TimelineJS events.
+ * @returns {Function} Called with a reference, returns the matching event's ID or null.
+ */
+export const createReferenceResolver = (events) => {
+  const ids = new Set(events.map((event) => event.unique_id));
+  const headlines = new Map();
+  events.forEach((event) => {
+    const key = toPlainText(event.text.headline).toLowerCase();
+    if (key !== "" && !headlines.has(key)) headlines.set(key, event.unique_id);
+  });
+  return (reference) =>
+    ids.has(reference)
+      ? reference
+      : headlines.get(reference.trim().toLowerCase()) || null;
+};
+
+/**
+ * Lists the other datasets that the events and eras of a timeline link to.
+ * @param {object} timeline - TimelineJS JSON: { events, eras }.
+ * @returns {Array<string>} Dataset ids, each once.
+ */
+export const getLinkedDatasetIds = (timeline) => [
+  ...new Set(
+    [...timeline.events, ...(timeline.eras || [])].flatMap((item) =>
+      (item.related || [])
+        .map((reference) => reference.dataset_id)
+        .filter(Boolean)
+    )
+  ),
+];
+
+/**
+ * Formats the references of an event back into the text of a Related cell.
+ * @param {Array<{ unique_id: string, dataset_id?: string }>} related
+ * @returns {string}
+ */
+export const formatRelated = (related = []) =>
+  related
+    .map((link) =>
+      link.dataset_id ? `${link.dataset_id}:${link.unique_id}` : link.unique_id
+    )
+    .join(`${RELATED_SEPARATOR} `);
+
+/**
+ * Collects the links of every event of a dataset: the events it refers to and
+ * the events, from any of the given datasets, referring to it. Links whose
+ * target isn't loaded are left out. Eras are linked too, but aren't slides
+ * to navigate to.
+ * @param {Array<{ dataset: object, timeline: object }>} sources - Every loaded dataset.
+ * @param {string} datasetId - The dataset to collect links for.
+ * @returns {object} { related, referencedBy } keyed by event ID, each a list of
+ *   { datasetId, datasetLabel, uniqueId, headline, isEra, isOtherDataset },
+ *   the headline as plain text.
+ */
+export const getRelatedLinks = (sources, datasetId) => {
+  const targets = new Map();
+  const key = (sourceId, uniqueId) => `${sourceId}\n${uniqueId}`;
+  // Eras also kept as events are linked as events
+  const itemsOf = (timeline) => {
+    const eventIds = new Set(timeline.events.map((event) => event.unique_id));
+    return [
+      ...timeline.events.map((item) => ({ item, isEra: false })),
+      ...(timeline.eras || [])
+        .filter((era) => !eventIds.has(era.unique_id))
+        .map((item) => ({ item, isEra: true })),
+    ];
+  };
+  sources.forEach(({ dataset, timeline }) => {
+    itemsOf(timeline).forEach(({ item, isEra }) =>
+      targets.set(key(dataset.id, item.unique_id), {
+        datasetId: dataset.id,
+        datasetLabel: dataset.label,
+        uniqueId: item.unique_id,
+        headline: toPlainText(item.text.headline),
+        isEra,
+        isOtherDataset: dataset.id !== datasetId,
+      })
+    );
+  });
+
+  const links = {};
+  const linksOf = (uniqueId) => {
+    if (!links[uniqueId]) links[uniqueId] = { related: [], referencedBy: [] };
+    return links[uniqueId];
+  };
+  sources.forEach(({ dataset, timeline }) => {
+    itemsOf(timeline).forEach(({ item }) => {
+      (item.related || []).forEach((reference) => {
+        const target = targets.get(
+          key(reference.dataset_id || dataset.id, reference.unique_id)
+        );
+        if (!target) return;
+        if (dataset.id === datasetId) {
+          linksOf(item.unique_id).related.push(target);
+        }
+        if (target.datasetId === datasetId) {
+          linksOf(target.uniqueId).referencedBy.push(
+            targets.get(key(dataset.id, item.unique_id))
+          );
+        }
+      });
+    });
+  });
+  return links;
+};
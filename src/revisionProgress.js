@@ -0,0 +1,148 @@
+import { getStorageKey } from "./datasets";
+import { compareByDate } from "./chronology";
+
+/**
+ * Revision progress: which events of a dataset have been seen on the timeline
+ * and which ones the user marked as revised. Stored per dataset in
+ * localStorage, keyed on event unique_ids with the time they were recorded.
+ *
+ * Shape: { visited: { [eventId]: time }, revised: { [eventId]: time } }
+ */
+
+const EMPTY_PROGRESS = { visited: {}, revised: {} };
+
+/**
+ * Loads the revision progress of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @returns {{ visited: object, revised: object }}
+ */
+export const loadRevisionProgress = (dataset) => {
+  try {
+    const saved = localStorage.getItem(getStorageKey("revision", dataset));
+    return saved ? { ...EMPTY_PROGRESS, ...JSON.parse(saved) } : EMPTY_PROGRESS;
+  } catch (e) {
+    console.error("Error loading revision progress from localStorage:", e);
+    return EMPTY_PROGRESS;
+  }
+};
+
+/**
+ * Saves the revision progress of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @param {object} progress - As returned by loadRevisionProgress.
+ */
+export const saveRevisionProgress = (dataset, progress) => {
+  try {
+    localStorage.setItem(
+      getStorageKey("revision", dataset),
+      JSON.stringify(progress)
+    );
+  } catch (e) {
+    console.error("Error saving revision progress to localStorage:", e);
+  }
+};
+
+/**
+ * Removes the revision progress of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ */
+export const clearRevisionProgress = (dataset) => {
+  try {
+    localStorage.removeItem(getStorageKey("revision", dataset));
+  } catch (e) {
+    console.error("Error removing revision progress from localStorage:", e);
+  }
+};
+
+/**
+ * Records that an event was seen.
+ * @param {object} progress - As returned by loadRevisionProgress.
+ * @param {string} eventId - The event's unique_id.
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {object} The updated progress, or the same object if the event was
+ *   already visited.
+ */
+export const markVisited = (progress, eventId, now = Date.now()) =>
+  progress.visited[eventId]
+    ? progress
+    : { ...progress, visited: { ...progress.visited, [eventId]: now } };
+
+/**
+ * Marks an event as revised or not. Revised events count as visited.
+ * @param {object} progress - As returned by loadRevisionProgress.
+ * @param {string} eventId - The event's unique_id.
+ * @param {boolean} revised
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {object} The updated progress (a new object).
+ */
+export const setRevised = (progress, eventId, revised, now = Date.now()) => {
+  const others = { ...progress.revised };
+  delete others[eventId];
+  return {
+    ...markVisited(progress, eventId, now),
+    revised: revised ? { ...others, [eventId]: now } : others,
+  };
+};
+
+const percent = (count, total) =>
+  total > 0 ? Math.round((count / total) * 100) : 0;
+
+/**
+ * Computes how much of a set of events has been covered.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {object} progress - As returned by loadRevisionProgress.
+ * @returns {{ total: number, visited: number, revised: number, visitedPercent: number, revisedPercent: number, byGroup: object }}
+ *   `byGroup` holds the same figures (without byGroup) keyed by group name.
+ */
+export const computeCoverage = (events, progress) => {
+  const count = (subset) => {
+    const visited = subset.filter((e) => progress.visited[e.unique_id]).length;
+    const revised = subset.filter((e) => progress.revised[e.unique_id]).length;
+    return {
+      total: subset.length,
+      visited,
+      revised,
+      visitedPercent: percent(visited, subset.length),
+      revisedPercent: percent(revised, subset.length),
+    };
+  };
+
+  const eventsByGroup = new Map();
+  events.forEach((event) => {
+    if (!eventsByGroup.has(event.group)) eventsByGroup.set(event.group, []);
+    eventsByGroup.get(event.group).push(event);
+  });
+
+  return {
+    ...count(events),
+    byGroup: Object.fromEntries(
+      [...eventsByGroup].map(([group, groupEvents]) => [
+        group,
+        count(groupEvents),
+      ])
+    ),
+  };
+};
+
+/**
+ * Finds the next event, in chronological order after the current one, that
+ * has not been marked revised. Wraps around to the earliest events.
+ * @param {Array<object>} events - Candidate events.
+ * @param {object} progress - As returned by loadRevisionProgress.
+ * @param {string|null} currentId - unique_id of the current event, if any.
+ * @returns {object|null} The event, or null if every event is revised.
+ */
+export const findNextUnrevised = (events, progress, currentId) => {
+  const sorted = [...events].sort(compareByDate);
+  const currentIndex = sorted.findIndex((e) => e.unique_id === currentId);
+  const ordered = [
+    ...sorted.slice(currentIndex + 1),
+    ...sorted.slice(0, currentIndex + 1),
+  ];
+  return (
+    ordered.find(
+      (event) =>
+        event.unique_id !== currentId && !progress.revised[event.unique_id]
+    ) || null
+  );
+};
@@ -0,0 +1,81 @@
+import { toPlainText } from "./richText";
+import { compareByDate } from "./chronology";
+
+/**
+ * Layout of the printable revision sheet: events sorted by date, optionally
+ * split into sections per group or per century, with their text shortened.
+ */
+
+export const SHEET_GROUPINGS = {
+  NONE: "none",
+  GROUP: "group",
+  CENTURY: "century",
+};
+
+const ordinal = (number) => {
+  const tens = number % 100;
+  if (tens >= 11 && tens <= 13) return `${number}th`;
+  return `${number}${["th", "st", "nd", "rd"][number % 10] || "th"}`;
+};
+
+/**
+ * Names the century of a year, e.g. "19th century" or "3rd century BCE".
+ * @param {number} year - Negative years are BCE.
+ * @returns {string}
+ */
+export const centuryOf = (year) =>
+  year > 0
+    ? `${ordinal(Math.ceil(year / 100))} century`
+    : `${ordinal(Math.max(1, Math.ceil(-year / 100)))} century BCE`;
+
+/**
+ * Shortens the text of an event to plain text of at most `maxLength`
+ * characters, cut at a word boundary.
+ * @param {string} html - Event text.
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export const shortenText = (html, maxLength) => {
+  const text = toPlainText(html);
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(
+    /[\s,;:.]+$/,
+    ""
+  )}…`;
+};
+
+/**
+ * Splits events into the sections of the sheet, each sorted by date. Group
+ * sections are in alphabetical order, century sections in chronological order.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {string} grouping - One of SHEET_GROUPINGS.
+ * @returns {Array<{ title: string|null, events: Array<object> }>}
+ */
+export const buildSheetSections = (events, grouping) => {
+  const sorted = [...events].sort(compareByDate);
+  if (grouping === SHEET_GROUPINGS.NONE) {
+    return [{ title: null, events: sorted }];
+  }
+
+  const getKey =
+    grouping === SHEET_GROUPINGS.GROUP
+      ? (event) => event.group || "Ungrouped"
+      : (event) => centuryOf(event.start_date.year);
+  const sections = new Map();
+  sorted.forEach((event) => {
+    const key = getKey(event);
+    if (!sections.has(key)) sections.set(key, []);
+    sections.get(key).push(event);
+  });
+
+  const result = Array.from(sections, ([title, sectionEvents]) => ({
+    title,
+    events: sectionEvents,
+  }));
+  if (grouping === SHEET_GROUPINGS.GROUP) {
+    result.sort((a, b) => a.title.localeCompare(b.title));
+  }
+  return result;
+};
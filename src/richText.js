@@ -0,0 +1,334 @@
+// Shared by the app, the Vite plugin and the command-line compiler, so it has
+// no imports and stays loadable by plain Node.
+
+/**
+ * Rich text of events. Headlines, texts, display dates and media captions
+ * are shown as HTML, by TimelineJS and by the native timeline, and any CSV may
+ * be loaded, so they are sanitized when compiled: only the tags and attributes
+ * listed below are kept, the content of script-like elements is dropped with
+ * them, and links must point to web pages or mail addresses. Media and
+ * background URLs are checked the same way. Text cells without any markup may
+ * be written in Markdown instead (see markdownToHtml). Where they are shown as
+ * text, these fields go through toPlainText.
+ */
+
+// Tags kept in texts, with the attributes each may keep
+const BLOCK_TAGS = {
+  p: [],
+  br: [],
+  hr: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  ul: [],
+  ol: [],
+  li: [],
+  blockquote: [],
+  pre: [],
+  dl: [],
+  dt: [],
+  dd: [],
+};
+
+// Tags kept in headlines and captions as well as texts
+const INLINE_TAGS = {
+  a: ["href", "title", "target"],
+  b: [],
+  strong: [],
+  i: [],
+  em: [],
+  u: [],
+  s: [],
+  small: [],
+  mark: [],
+  sub: [],
+  sup: [],
+  code: [],
+  cite: [],
+  q: [],
+  abbr: ["title"],
+  span: [],
+};
+
+const TEXT_TAGS = { ...BLOCK_TAGS, ...INLINE_TAGS };
+
+// Tags without content or closing tag
+const VOID_TAGS = new Set(["br", "hr"]);
+
+// Elements dropped along with their content
+const DROPPED_ELEMENTS = new Set([
+  "script",
+  "style",
+  "iframe",
+  "object",
+  "embed",
+  "noscript",
+  "template",
+  "textarea",
+  "title",
+  "svg",
+  "math",
+]);
+
+// A comment, an opening or closing tag, with its attributes
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?|\s*\/)*)\s*>/g;
+const ATTRIBUTE_PATTERN =
+  /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Links may point to web pages, mail addresses or within the site
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|[^:/?#]*(?:[/?#]|$))/i;
+
+const escapeAttribute = (value) =>
+  value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+// Escapes what could start markup; "&" and ">" are left alone so that plain
+// text, e.g. headlines also shown as text, stays as written
+const escapeText = (text) => text.replace(/</g, "&lt;");
+
+// Decodes the entities browsers would decode before following a link
+const decodeEntities = (text) =>
+  text
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);?/g, (match, decimal) =>
+      String.fromCodePoint(Number(decimal))
+    )
+    .replace(/&colon;/gi, ":")
+    .replace(/&tab;|&newline;/gi, "")
+    .replace(/&amp;/gi, "&");
+
+/**
+ * Tells whether a URL is safe to link to: a web page, a mail address or a
+ * path, but not e.g. a `javascript:` URL.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isSafeUrl = (url) =>
+  SAFE_URL_PATTERN.test(
+    // Browsers ignore control characters and whitespace in schemes
+    [...decodeEntities(url)].filter((char) => char > " ").join("")
+  );
+
+// Images embedded in the CSV; SVG is left out as it can hold scripts
+const DATA_IMAGE_PATTERN = /^data:image\/(?:png|jpe?g|gif|webp|avif)[;,]/i;
+
+/**
+ * Tells whether a media URL is safe to show: a safe link (see isSafeUrl) or
+ * an embedded image.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isSafeMediaUrl = (url) =>
+  isSafeUrl(url) || DATA_IMAGE_PATTERN.test(url.trim());
+
+const formatAttributes = (tag, text, allowed) => {
+  const attributes = [];
+  for (const [, name, ...values] of text.matchAll(ATTRIBUTE_PATTERN)) {
+    const key = name.toLowerCase();
+    const value = values.find((part) => part !== undefined) ?? "";
+    if (!allowed.includes(key)) continue;
+    if (key === "href" && !isSafeUrl(value)) continue;
+    if (attributes.some(([existing]) => existing === key)) continue;
+    attributes.push([key, decodeEntities(value)]);
+  }
+  // Pages opened in a new tab mustn't be able to reach back to the app
+  if (tag === "a" && attributes.some(([key]) => key === "target")) {
+    attributes.push(["rel", "noopener noreferrer"]);
+  }
+  return attributes
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join("");
+};
+
+/**
+ * Sanitizes HTML against an allowlist of tags and attributes. Other tags are
+ * removed but their text kept, except for scripts, styles and the like, which
+ * are removed entirely. Tags left open are closed, stray closing tags dropped.
+ * @param {string} html - Untrusted HTML.
+ * @param {object} [options]
+ * @param {boolean} [options.inline] - Only keep inline tags, e.g. for
+ *   headlines.
+ * @returns {string} Safe HTML.
+ */
+export const sanitizeHtml = (html, { inline = false } = {}) => {
+  const allowedTags = inline ? INLINE_TAGS : TEXT_TAGS;
+  const source = String(html ?? "");
+  const open = [];
+  let output = "";
+  let position = 0;
+  // Element whose content is being dropped, e.g. "script"
+  let dropping = null;
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const [token, closing, name = "", attributes = ""] = match;
+    const tag = name.toLowerCase();
+    if (!dropping) output += escapeText(source.slice(position, match.index));
+    position = match.index + token.length;
+
+    if (dropping) {
+      if (closing && tag === dropping) dropping = null;
+    } else if (token.startsWith("<!--")) {
+      // Comments are dropped
+    } else if (DROPPED_ELEMENTS.has(tag)) {
+      if (!closing && !token.endsWith("/>")) dropping = tag;
+    } else if (!Object.hasOwn(allowedTags, tag)) {
+      // Other tags are dropped, keeping their content
+    } else if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index !== -1) {
+        output += open
+          .splice(index)
+          .reverse()
+          .map((openTag) => `</${openTag}>`)
+          .join("");
+      }
+    } else {
+      const allowedAttributes = allowedTags[tag];
+      output += `<${tag}${formatAttributes(tag, attributes, allowedAttributes)}>`;
+      if (!VOID_TAGS.has(tag)) open.push(tag);
+    }
+  }
+  if (!dropping) output += escapeText(source.slice(position));
+  return (
+    output +
+    open
+      .reverse()
+      .map((tag) => `</${tag}>`)
+      .join("")
+  );
+};
+
+/**
+ * Strips HTML tags and decodes the common entities, leaving readable text.
+ * @param {string} html - Text that may contain markup.
+ * @returns {string} Plain text.
+ */
+export const toPlainText = (html) =>
+  String(html || "")
+    .replace(/<(br|\/p|\/li|\/h\d|\/div)\s*\/?>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Tells whether text contains HTML markup rather than plain text or Markdown.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const hasHtmlMarkup = (text) =>
+  /<\/?[a-zA-Z][\w-]*(?:\s[^>]*)?\/?>|<!--/.test(String(text ?? ""));
+
+// A Markdown link; URLs may hold balanced parentheses, as Wikipedia's do
+const LINK_PATTERN = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+const formatEmphasis = (text) =>
+  text
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "<strong>$2</strong>")
+    .replace(/(?<!\w)(\*|_)(?=\S)(.+?)(?<=\S)\1(?!\w)/g, "<em>$2</em>");
+
+// Formats links and emphasis, leaving the URLs of links as written. Links to
+// unsafe URLs are left as their label.
+const formatLinks = (text) => {
+  let output = "";
+  let position = 0;
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    const [link, label, url] = match;
+    output += formatEmphasis(text.slice(position, match.index));
+    output += isSafeUrl(url)
+      ? `<a href="${url.replace(/"/g, "&quot;")}">${formatEmphasis(label)}</a>`
+      : formatEmphasis(label);
+    position = match.index + link.length;
+  }
+  return output + formatEmphasis(text.slice(position));
+};
+
+// Formats the inline Markdown of a line of escaped text
+const formatInline = (text) =>
+  text
+    // Code spans first, so that their content isn't formatted
+    .split(/(`[^`]+`)/)
+    .map((part, index) =>
+      index % 2 === 1 ? `<code>${part.slice(1, -1)}</code>` : formatLinks(part)
+    )
+    .join("");
+
+const LIST_ITEM_PATTERN = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*$/;
+
+/**
+ * Converts Markdown to HTML: paragraphs, line breaks, headings, bulleted and
+ * numbered lists, bold, italics, code and links. The result still has to be
+ * sanitized, e.g. for the URLs of links.
+ * @param {string} markdown
+ * @returns {string} HTML.
+ */
+export const markdownToHtml = (markdown) => {
+  const blocks = [];
+  // Lines of the paragraph or list being read
+  let paragraph = [];
+  let list = null;
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(formatInline).join("<br>")}</p>`);
+      paragraph = [];
+    }
+    if (list) {
+      const items = list.items.map((item) => `<li>${formatInline(item)}</li>`);
+      blocks.push(`<${list.tag}>${items.join("")}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  escapeText(String(markdown ?? ""))
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const heading = line.match(HEADING_PATTERN);
+      const item = line.match(LIST_ITEM_PATTERN);
+      if (line.trim() === "") {
+        flush();
+      } else if (heading) {
+        flush();
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${formatInline(heading[2])}</h${level}>`);
+      } else if (item) {
+        const tag = item[1] ? "ul" : "ol";
+        if (paragraph.length > 0 || list?.tag !== tag) flush();
+        list ||= { tag, items: [] };
+        list.items.push(item[3]);
+      } else if (list) {
+        // An indented line continues the list item
+        list.items[list.items.length - 1] += ` ${line.trim()}`;
+      } else {
+        paragraph.push(line.trim());
+      }
+    });
+  flush();
+
+  // A single paragraph needs no wrapping, as with plain text cells
+  const [first] = blocks;
+  return blocks.length === 1 && first.startsWith("<p>")
+    ? first.slice(3, -4)
+    : blocks.join("");
+};
+
+/**
+ * Turns the content of a Text cell into safe HTML: HTML is sanitized, and
+ * text without markup is read as Markdown.
+ * @param {string} text - The cell.
+ * @returns {string} Safe HTML.
+ */
+export const formatRichText = (text) => {
+  const value = String(text ?? "");
+  return sanitizeHtml(hasHtmlMarkup(value) ? value : markdownToHtml(value));
+};
@@ -0,0 +1,260 @@
+import { toPlainText } from "./richText";
+
+/**
+ * Client-side full-text search over timeline events.
+ *
+ * Queries are made of free-text terms plus optional operators:
+ * - `group:Press` or `group:"British Acts"` keeps events whose group contains the value
+ * - `type:King` does the same for the event type
+ * - `1857..1885`, `1857..` or `..1885` keeps events whose span intersects the years
+ *
+ * Every free-text term must match a word of the headline, text, group or year,
+ * exactly, as a prefix or (for longer terms) within a small edit distance, so
+ * "Dalhousei" still finds Dalhousie. Headline matches rank highest.
+ */
+
+// Weight of a match in each field
+const FIELD_WEIGHTS = {
+  headline: 3,
+  year: 2,
+  group: 1.5,
+  type: 1.5,
+  text: 1,
+};
+
+// Quality of each kind of match
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = 0.5;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const OPERATOR_PATTERN = /(\w+):(?:"([^"]*)"|(\S+))/g;
+const YEAR_RANGE_PATTERN = /^(-?\d+)?\.\.(-?\d+)?$/;
+
+/**
+ * Lowercases text and removes diacritics so "Dalhousié" matches "dalhousie".
+ * @param {string} text - Text to normalize.
+ * @returns {string}
+ */
+export const normalizeText = (text) =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Splits text into normalized words.
+ * @param {string} text - Text to tokenize.
+ * @returns {Array<string>}
+ */
+export const tokenize = (text) => normalizeText(text).match(WORD_PATTERN) || [];
+
+// Optimal string alignment distance, bailing out once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let previousPrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How well a query term matches a word, from 0 (no match) to EXACT_MATCH
+const matchQuality = (term, word) => {
+  if (word === term) return EXACT_MATCH;
+  if (word.startsWith(term)) return PREFIX_MATCH;
+  // Numbers and short terms only match exactly or as a prefix
+  if (term.length < 4 || /^\d+$/.test(term)) return 0;
+  const maxDistance = term.length >= 8 ? 2 : 1;
+  return editDistance(term, word, maxDistance) <= maxDistance ? FUZZY_MATCH : 0;
+};
+
+/**
+ * Builds the search index of a list of TimelineJS events.
+ * @param {Array<object>} events - Events as produced by processCsvData.
+ * @returns {Array<object>} Index entries, one per event.
+ */
+export const buildSearchIndex = (events) =>
+  events.map((event) => {
+    const headline = toPlainText(event.text?.headline);
+    const text = toPlainText(event.text?.text);
+    return {
+      event,
+      headline,
+      text,
+      startYear: event.start_date.year,
+      endYear: event.end_date?.year ?? event.start_date.year,
+      group: normalizeText(event.group || ""),
+      type: normalizeText(event.type || ""),
+      fields: {
+        headline: tokenize(headline),
+        // Written dates such as "c. 320 BCE" make "320" and "bce" match too
+        year: [
+          String(event.start_date.year),
+          ...tokenize(event.display_date || ""),
+        ],
+        group: tokenize(event.group || ""),
+        type: tokenize(event.type || ""),
+        text: tokenize(text),
+      },
+    };
+  });
+
+/**
+ * Splits a query into free-text terms and operators.
+ * @param {string} query - The query as typed.
+ * @returns {{ terms: Array<string>, groups: Array<string>, types: Array<string>, yearRange: { from: number, to: number }|null }}
+ */
+export const parseQuery = (query) => {
+  const groups = [];
+  const types = [];
+  const rest = String(query).replace(
+    OPERATOR_PATTERN,
+    (match, name, quoted, bare) => {
+      const value = normalizeText((quoted ?? bare).trim());
+      if (name.toLowerCase() === "group") groups.push(value);
+      else if (name.toLowerCase() === "type") types.push(value);
+      else return match; // Not an operator, search for it as text
+      return " ";
+    }
+  );
+
+  let yearRange = null;
+  const words = [];
+  rest.split(/\s+/).forEach((word) => {
+    const range = word.match(YEAR_RANGE_PATTERN);
+    if (range && (range[1] !== undefined || range[2] !== undefined)) {
+      yearRange = {
+        from: range[1] !== undefined ? parseInt(range[1], 10) : -Infinity,
+        to: range[2] !== undefined ? parseInt(range[2], 10) : Infinity,
+      };
+    } else {
+      words.push(word);
+    }
+  });
+
+  return { terms: tokenize(words.join(" ")), groups, types, yearRange };
+};
+
+/**
+ * Searches the index and returns the matching events, best first.
+ * @param {Array<object>} index - The result of buildSearchIndex.
+ * @param {string} query - The query as typed.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of results.
+ * @returns {Array<{ event: object, entry: object, score: number, matchedWords: Set<string> }>}
+ */
+export const searchEvents = (index, query, { limit = 50 } = {}) => {
+  const { terms, groups, types, yearRange } = parseQuery(query);
+  if (
+    terms.length === 0 &&
+    groups.length === 0 &&
+    types.length === 0 &&
+    !yearRange
+  ) {
+    return [];
+  }
+
+  const results = [];
+  index.forEach((entry) => {
+    if (groups.length && !groups.some((group) => entry.group.includes(group)))
+      return;
+    if (types.length && !types.some((type) => entry.type.includes(type)))
+      return;
+    if (
+      yearRange &&
+      (entry.endYear < yearRange.from || entry.startYear > yearRange.to)
+    )
+      return;
+
+    let score = 0;
+    const matchedWords = new Set();
+    for (const term of terms) {
+      let bestTermScore = 0;
+      Object.entries(entry.fields).forEach(([field, words]) => {
+        words.forEach((word) => {
+          const quality = matchQuality(term, word);
+          if (quality > 0) {
+            matchedWords.add(word);
+            bestTermScore = Math.max(
+              bestTermScore,
+              quality * FIELD_WEIGHTS[field]
+            );
+          }
+        });
+      });
+      // Every term has to match somewhere
+      if (bestTermScore === 0) return;
+      score += bestTermScore;
+    }
+
+    results.push({ event: entry.event, entry, score, matchedWords });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.entry.startYear - b.entry.startYear)
+    .slice(0, limit);
+};
+
+/**
+ * Splits text into segments, flagging the words that matched the query.
+ * @param {string} text - Plain text to highlight.
+ * @param {Set<string>} matchedWords - Normalized words to highlight.
+ * @returns {Array<{ text: string, isMatch: boolean }>}
+ */
+export const highlightMatches = (text, matchedWords) => {
+  const segments = [];
+  let lastIndex = 0;
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    if (!matchedWords.has(normalizeText(match[0]))) continue;
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), isMatch: false });
+    }
+    segments.push({ text: match[0], isMatch: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), isMatch: false });
+  }
+  return segments;
+};
+
+/**
+ * Cuts a snippet of text around the first matched word.
+ * @param {string} text - Plain text.
+ * @param {Set<string>} matchedWords - Normalized words that matched.
+ * @param {number} [length] - Approximate length of the snippet.
+ * @returns {string}
+ */
+export const getSnippet = (text, matchedWords, length = 80) => {
+  let start = 0;
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    if (matchedWords.has(normalizeText(match[0]))) {
+      start = Math.max(0, match.index - 20);
+      break;
+    }
+  }
+  // Don't start the snippet in the middle of a word
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start;
+  const snippet = text.slice(start, start + length);
+  return `${start > 0 ? "..." : ""}${snippet}${
+    start + length < text.length ? "..." : ""
+  }`;
+};
@@ -0,0 +1,68 @@
+// How often an open app checks for a new deploy
+const UPDATE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Registers the service worker (see sw.js) in production builds. A new deploy
+ * is downloaded in the background; `onUpdate` is then called so the user can
+ * choose when to switch to it with applyUpdate.
+ * @param {object} options
+ * @param {function(ServiceWorkerRegistration): void} options.onUpdate - Called
+ *   when a new version is ready.
+ * @returns {function(): void} Stops checking for updates.
+ */
+export const registerServiceWorker = ({ onUpdate }) => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return () => {};
+  }
+
+  let interval = null;
+  let isStopped = false;
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (isStopped) return;
+
+      // Only an update if a previous version controls the page
+      const notifyIfWaiting = () => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          onUpdate(registration);
+        }
+      };
+
+      notifyIfWaiting();
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker?.addEventListener("statechange", () => {
+          if (worker.state === "installed") notifyIfWaiting();
+        });
+      });
+
+      interval = setInterval(() => {
+        registration.update().catch(() => {
+          // Offline; try again later
+        });
+      }, UPDATE_INTERVAL);
+    })
+    .catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+
+  return () => {
+    isStopped = true;
+    clearInterval(interval);
+  };
+};
+
+/**
+ * Switches to the waiting version of the app and reloads the page.
+ * @param {ServiceWorkerRegistration} registration
+ */
+export const applyUpdate = (registration) => {
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true }
+  );
+  registration.waiting?.postMessage({ type: "SKIP_WAITING" });
+};
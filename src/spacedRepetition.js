@@ -0,0 +1,96 @@
+import { getStorageKey } from "./datasets";
+import { shuffle } from "./quiz";
+
+/**
+ * Leitner-style spaced repetition over timeline events. Each event of a
+ * dataset is a card in a box; a correct answer moves it up a box, delaying
+ * its next review, and a wrong answer sends it back to the first box so weak
+ * events come back soon. Progress is stored per dataset in localStorage.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Delay before the next review of a card in each box
+const BOX_INTERVALS = [0, 1 * DAY, 3 * DAY, 7 * DAY, 16 * DAY, 35 * DAY];
+
+/**
+ * Loads the review progress of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @returns {object} Cards keyed by event ID: { box, due, correct, incorrect }.
+ */
+export const loadProgress = (dataset) => {
+  try {
+    const saved = localStorage.getItem(getStorageKey("quizProgress", dataset));
+    return saved ? JSON.parse(saved) : {};
+  } catch (e) {
+    console.error("Error loading quiz progress from localStorage:", e);
+    return {};
+  }
+};
+
+/**
+ * Saves the review progress of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @param {object} progress - As returned by loadProgress.
+ */
+export const saveProgress = (dataset, progress) => {
+  try {
+    localStorage.setItem(
+      getStorageKey("quizProgress", dataset),
+      JSON.stringify(progress)
+    );
+  } catch (e) {
+    console.error("Error saving quiz progress to localStorage:", e);
+  }
+};
+
+/**
+ * Records an answer and schedules the card's next review.
+ * @param {object} progress - As returned by loadProgress.
+ * @param {string} eventId - The event the question was about.
+ * @param {boolean} isCorrect - Whether the answer was right.
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {object} The updated progress (a new object).
+ */
+export const recordAnswer = (progress, eventId, isCorrect, now = Date.now()) => {
+  const card = progress[eventId] || { box: 0, correct: 0, incorrect: 0 };
+  const box = isCorrect ? Math.min(card.box + 1, BOX_INTERVALS.length - 1) : 0;
+  return {
+    ...progress,
+    [eventId]: {
+      box,
+      due: now + BOX_INTERVALS[box],
+      correct: card.correct + (isCorrect ? 1 : 0),
+      incorrect: card.incorrect + (isCorrect ? 0 : 1),
+    },
+  };
+};
+
+/**
+ * Picks the events to review next: overdue cards first (lowest box, then
+ * longest overdue), then never-seen events, then the cards due soonest.
+ * @param {Array<object>} events - Candidate events.
+ * @param {object} progress - As returned by loadProgress.
+ * @param {number} count - Number of events to pick.
+ * @param {number} [now] - Current time in milliseconds.
+ * @returns {Array<object>} The picked events.
+ */
+export const pickEventsToReview = (events, progress, count, now = Date.now()) => {
+  const due = [];
+  const unseen = [];
+  const later = [];
+  events.forEach((event) => {
+    const card = progress[event.unique_id];
+    if (!card) unseen.push(event);
+    else if (card.due <= now) due.push(event);
+    else later.push(event);
+  });
+
+  const cardOf = (event) => progress[event.unique_id];
+  due.sort(
+    (a, b) => cardOf(a).box - cardOf(b).box || cardOf(a).due - cardOf(b).due
+  );
+  later.sort((a, b) => cardOf(a).due - cardOf(b).due);
+  // Unseen events come in random order so every quiz doesn't start the same way
+  return [...due, ...shuffle(unseen), ...later].slice(0, count);
+};
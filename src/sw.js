@@ -0,0 +1,75 @@
+/**
+ * Service worker making the app usable offline. It is not bundled: the
+ * service-worker Vite plugin emits it as sw.js with `self.__PRECACHE__`
+ * ({ version, urls, crossOriginUrls }) prepended, listing every file of the
+ * build (app shell and compiled datasets) plus the TimelineJS assets.
+ *
+ * A deploy changes the version, so the browser installs the new worker and
+ * precaches the new files in the background. It then waits until the app
+ * asks it to take over (see registerServiceWorker), so the page isn't mixing
+ * old and new files.
+ */
+
+const { version, urls, crossOriginUrls } = self.__PRECACHE__;
+const CACHE_PREFIX = "timeline-";
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+const INDEX_URL = urls.find((url) => url.endsWith("/index.html"));
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all([
+        cache.addAll(urls),
+        // Best effort: the CDN may not send CORS headers, and the app works
+        // without TimelineJS unless a dataset uses it
+        ...crossOriginUrls.map((url) =>
+          cache
+            .add(new Request(url, { mode: "no-cors" }))
+            .catch((error) => console.warn(`Could not precache ${url}:`, error))
+        ),
+      ])
+    )
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  // Pages are served from the cached app shell, whatever their query string
+  if (request.mode === "navigate" && INDEX_URL) {
+    event.respondWith(
+      caches
+        .open(CACHE_NAME)
+        .then((cache) => cache.match(INDEX_URL))
+        .then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.match(request))
+      .then((cached) => cached || fetch(request))
+  );
+});
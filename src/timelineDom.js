@@ -0,0 +1,103 @@
+/**
+ * Decorations added to the slides and markers TimelineJS renders. TimelineJS
+ * gives each slide element the unique_id of its event as id, and each marker
+ * the unique_id followed by "-marker". Changing the rendered elements rather
+ * than the timeline data avoids rebuilding the whole timeline on every change.
+ */
+
+/**
+ * Shows the personal notes of events under the text of their slides.
+ * @param {HTMLElement} container - The element TimelineJS renders into.
+ * @param {object} notes - Note texts keyed by event ID.
+ */
+export const renderSlideNotes = (container, notes) => {
+  if (!container) return;
+  container.querySelectorAll(".tl-slide[id]").forEach((slide) => {
+    const content = slide.querySelector(".tl-text-content");
+    if (!content) return;
+
+    content.querySelector(".slide-note")?.remove();
+    const note = notes[slide.id];
+    if (!note) return;
+
+    const noteElement = document.createElement("div");
+    noteElement.className = "slide-note";
+    const label = document.createElement("strong");
+    label.textContent = "My note: ";
+    noteElement.append(label, note);
+    content.appendChild(noteElement);
+  });
+};
+
+/**
+ * Shows the links to and from other events under the text of the slides, as
+ * RelatedLinks does for the native renderer.
+ * @param {HTMLElement} container - The element TimelineJS renders into.
+ * @param {object} related - Links keyed by event ID (see getRelatedLinks).
+ * @param {Function} onOpen - Called with a clicked link.
+ */
+export const renderRelatedLinks = (container, related, onOpen) => {
+  if (!container) return;
+  container.querySelectorAll(".tl-slide[id]").forEach((slide) => {
+    const content = slide.querySelector(".tl-text-content");
+    if (!content) return;
+
+    content.querySelector(".related-links")?.remove();
+    const links = related[slide.id];
+    if (!links) return;
+
+    const linksElement = document.createElement("div");
+    linksElement.className = "related-links";
+    [
+      ["Related events", links.related],
+      ["Referenced by", links.referencedBy],
+    ].forEach(([label, list]) => {
+      if (list.length === 0) return;
+      const listElement = document.createElement("div");
+      listElement.className = "related-list";
+      const heading = document.createElement("strong");
+      heading.textContent = `${label}: `;
+      listElement.appendChild(heading);
+      list.forEach((link) => {
+        // Eras aren't slides, so there is nothing to navigate to
+        const linkElement = document.createElement(
+          link.isEra ? "span" : "button"
+        );
+        linkElement.className = link.isEra
+          ? "related-link related-era"
+          : "related-link";
+        linkElement.textContent = link.isOtherDataset
+          ? `${link.headline} (${link.datasetLabel})`
+          : link.headline;
+        if (link.isEra) {
+          linkElement.title = "Era";
+        } else {
+          linkElement.type = "button";
+          linkElement.addEventListener("click", () => onOpen(link));
+        }
+        listElement.appendChild(linkElement);
+      });
+      linksElement.appendChild(listElement);
+    });
+    content.appendChild(linksElement);
+  });
+};
+
+/**
+ * Highlights the markers of some events, e.g. the ones not visited yet.
+ * @param {HTMLElement} container - The element TimelineJS renders into.
+ * @param {Set<string>|null} highlightedIds - IDs of the events to highlight,
+ *   or null to remove the highlights.
+ */
+export const highlightMarkers = (container, highlightedIds) => {
+  if (!container) return;
+  container
+    .querySelectorAll(".tl-timemarker[id$='-marker']")
+    .forEach((marker) => {
+      const eventId = marker.id.slice(0, -"-marker".length);
+      marker.classList.toggle(
+        "tl-timemarker-highlighted",
+        Boolean(highlightedIds?.has(eventId))
+      );
+    });
+};
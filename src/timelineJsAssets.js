@@ -0,0 +1,8 @@
+// TimelineJS is pinned so a new release can't change the timeline under us.
+// Shared with the build, which precaches these for offline use.
+export const TIMELINEJS_VERSION = "3.9.11";
+
+const CDN_URL = `https://cdn.knightlab.com/libs/timeline3/${TIMELINEJS_VERSION}`;
+
+export const TIMELINEJS_SCRIPT_URL = `${CDN_URL}/js/timeline.js`;
+export const TIMELINEJS_STYLESHEET_URL = `${CDN_URL}/css/timeline.css`;
@@ -0,0 +1,98 @@
+import { formatYear } from "./historicalDates";
+import { toPlainText } from "./richText";
+
+/**
+ * Date arithmetic and formatting for the native timeline renderer. Years are
+ * astronomical-style integers as in the CSVs, negative years being BCE, and
+ * positions on the time axis are fractional years.
+ */
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// Tick steps tried, in years, multiplied by powers of ten
+const TICK_STEPS = [1, 2, 5];
+
+/**
+ * Converts a TimelineJS date to a position on the time axis.
+ * @param {{ year: number, month?: number, day?: number }} date
+ * @returns {number} Fractional year.
+ */
+export const dateToYears = ({ year, month, day }) =>
+  year + ((month || 1) - 1) / 12 + ((day || 1) - 1) / 365.25;
+
+// Shared with the CSV parser, which writes BCE years the same way
+export { formatYear };
+
+/**
+ * Formats a TimelineJS date, e.g. "15 August 1947" or "March 1930".
+ * @param {{ year: number, month?: number, day?: number }} date
+ * @returns {string}
+ */
+export const formatDate = ({ year, month, day }) =>
+  [month && day, month && MONTH_NAMES[month - 1], formatYear(year)]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Text of an event's date: its display_date if it has one, else its start
+ * date and, for spans, its end date.
+ * @param {object} event - TimelineJS event.
+ * @returns {string}
+ */
+export const formatEventDate = (event) => {
+  // Display dates are HTML, like headlines
+  if (event.display_date) return toPlainText(event.display_date);
+  const start = formatDate(event.start_date);
+  return event.end_date ? `${start} – ${formatDate(event.end_date)}` : start;
+};
+
+/**
+ * Time span covered by a set of events.
+ * @param {Array<object>} events - TimelineJS events.
+ * @returns {{ start: number, end: number }} Fractional years; a one-year span
+ *   around a single date.
+ */
+export const getTimeRange = (events) => {
+  let start = Infinity;
+  let end = -Infinity;
+  events.forEach((event) => {
+    start = Math.min(start, dateToYears(event.start_date));
+    end = Math.max(end, dateToYears(event.end_date || event.start_date));
+  });
+  if (!isFinite(start)) return { start: 0, end: 1 };
+  return end > start ? { start, end } : { start: start - 0.5, end: end + 0.5 };
+};
+
+/**
+ * Picks round years to label on an axis.
+ * @param {number} start - First visible position.
+ * @param {number} end - Last visible position.
+ * @param {number} maxTicks - Most ticks wanted.
+ * @returns {Array<number>} Years, at least a year apart.
+ */
+export const getTicks = (start, end, maxTicks) => {
+  const minStep = (end - start) / Math.max(1, maxTicks);
+  let step = 1;
+  for (let power = 1; step < minStep; power *= 10) {
+    step = TICK_STEPS.map((base) => base * power).find((s) => s >= minStep);
+    if (step === undefined) step = 10 * power;
+  }
+  const ticks = [];
+  for (let tick = Math.ceil(start / step) * step; tick <= end; tick += step) {
+    ticks.push(tick);
+  }
+  return ticks;
+};
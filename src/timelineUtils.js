@@ -1,34 +1,55 @@
+import { createEventId, disambiguateIds } from "./eventIds.js";
+import { parseYearValue, formatDateLabel } from "./historicalDates.js";
+import { extractEras } from "./eras.js";
+import { parseRelated, createReferenceResolver } from "./relatedEvents.js";
+import {
+  formatRichText,
+  isSafeMediaUrl,
+  isSafeUrl,
+  sanitizeHtml,
+} from "./richText.js";
+
 /**
  * Parses a single CSV row into a TimelineJS event object.
- * @param {object} row - A row object from PapaParse.
+ * @param {object} row - A row object from PapaParse, with canonical column names (see mapCsvColumns).
+ * @param {object} [options]
+ * @param {Array<string>} [options.datasetIds] - Known dataset ids, for references to other datasets.
  * @returns {object|null} A TimelineJS event object or null if invalid.
  */
-const parseCsvRowToEvent = (row) => {
-  // Ensure year is a valid number
-  const year = row.Year ? parseInt(row.Year.trim(), 10) : null;
-  if (year === null || isNaN(year)) {
+const parseCsvRowToEvent = (row, { datasetIds = [] } = {}) => {
+  // Parse the year: an integer, or a historical date such as "c. 320 BCE",
+  // "3rd century BCE" or "1905-1920" (see parseYearValue)
+  const startDate = parseYearValue(row.Year);
+  if (startDate === null) {
     console.warn("Skipping row with invalid year:", row);
     return null;
   }
+  const year = startDate.start;
 
-  // Create a base event object
+  // Create a base event object; its text is shown as HTML, so it is
+  // sanitized (see richText.js)
   const event = {
     start_date: {
       year: year,
     },
     text: {
-      headline: row.Headline || "",
-      text: row.Text || "",
+      headline: sanitizeHtml(row.Headline || "", { inline: true }),
+      text: formatRichText(row.Text || ""),
     },
     group: row.Group || "",
-    unique_id:
-      row["Unique ID"] ||
-      `event-${year}-${
-        row.Headline?.replace(/\s+/g, "-") ||
-        Math.random().toString(36).substring(2, 9)
-      }`,
+    // Made unique across the dataset by processCsvData
+    unique_id: createEventId({
+      id: row["Unique ID"],
+      year,
+      headline: row.Headline,
+    }),
   };
 
+  // --- Add type (not used by TimelineJS, available to the UI) ---
+  if (row.Type && row.Type.trim() !== "") {
+    event.type = row.Type.trim();
+  }
+
   // --- Add optional start date components ---
   if (row.Month && row.Month.trim() !== "") {
     const month = parseInt(row.Month.trim(), 10);
@@ -57,10 +78,15 @@ const parseCsvRowToEvent = (row) => {
   }
 
   // --- Add optional end date components ---
+  // A Year cell covering several years (a range, decade or century) sets the
+  // end year unless the End Year column does
+  const endDate = parseYearValue(row["End Year"]);
+  if (endDate === null && startDate.end !== startDate.start) {
+    event.end_date = { year: startDate.end };
+  }
   if (row["End Year"] && row["End Year"].trim() !== "") {
-    const endYear = parseInt(row["End Year"].trim(), 10);
-    if (!isNaN(endYear)) {
-      event.end_date = { year: endYear };
+    if (endDate !== null) {
+      event.end_date = { year: endDate.end };
       if (row["End Month"] && row["End Month"].trim() !== "") {
         const endMonth = parseInt(row["End Month"].trim(), 10);
         if (!isNaN(endMonth) && endMonth >= 1 && endMonth <= 12) event.end_date.month = endMonth;
@@ -85,20 +111,30 @@ const parseCsvRowToEvent = (row) => {
     }
   }
 
+  // --- Add approximation flag ---
+  if (startDate.approximate || endDate?.approximate) {
+    event.approximate = true;
+  }
+
   // --- Add display date ---
   if (row["Display Date"] && row["Display Date"].trim() !== "") {
-    event.display_date = row["Display Date"].trim();
+    event.display_date = sanitizeHtml(row["Display Date"].trim(), { inline: true });
+  } else if (event.start_date.month === undefined && event.end_date?.month === undefined) {
+    // Spell out BCE, approximate and imprecise dates, e.g. "c. 320 BCE" or
+    // "50,000–10,000 BCE", rather than showing bare (negative) years
+    const label = endDate ? formatDateLabel(startDate, endDate) : startDate.label;
+    if (label) event.display_date = label;
   }
 
-  // --- Add media ---
-  if (row.Media && row.Media.trim() !== "") {
+  // --- Add media (URLs that could run scripts are left out) ---
+  if (row.Media && row.Media.trim() !== "" && isSafeMediaUrl(row.Media.trim())) {
     event.media = { url: row.Media.trim() };
-    if (row["Media Caption"]) event.media.caption = row["Media Caption"];
-    if (row["Media Credit"]) event.media.credit = row["Media Credit"];
-    if (row.Thumbnail) event.media.thumbnail = row.Thumbnail;
-    if (row.Alt) event.media.alt = row.Alt;
-    if (row.Title) event.media.title = row.Title;
-    if (row.Link) event.media.link = row.Link;
+    if (row["Media Caption"]) event.media.caption = sanitizeHtml(row["Media Caption"], { inline: true });
+    if (row["Media Credit"]) event.media.credit = sanitizeHtml(row["Media Credit"], { inline: true });
+    if (row["Media Thumbnail"] && isSafeMediaUrl(row["Media Thumbnail"])) event.media.thumbnail = row["Media Thumbnail"];
+    if (row["Alt Text"]) event.media.alt = row["Alt Text"];
+    if (row.Title) event.media.title = sanitizeHtml(row.Title, { inline: true });
+    if (row.Link && isSafeUrl(row.Link)) event.media.link = row.Link;
     if (row["Link Target"]) event.media.link_target = row["Link Target"];
   }
 
@@ -108,12 +144,13 @@ const parseCsvRowToEvent = (row) => {
     (row["Background Color"] && row["Background Color"].trim() !== "")
   ) {
     event.background = {};
-    if (row.Background && row.Background.trim() !== "") {
+    if (row.Background && row.Background.trim() !== "" && isSafeMediaUrl(row.Background.trim())) {
       event.background.url = row.Background.trim();
     }
     if (row["Background Color"] && row["Background Color"].trim() !== "") {
       event.background.color = row["Background Color"].trim();
     }
+    if (Object.keys(event.background).length === 0) delete event.background;
   }
 
   // --- Add autolink ---
@@ -121,15 +158,28 @@ const parseCsvRowToEvent = (row) => {
     event.autolink = false;
   }
 
+  // --- Add related events (resolved to IDs by processCsvData) ---
+  const related = parseRelated(row.Related, datasetIds);
+  if (related.length > 0) {
+    event.related = related;
+  }
+
   return event;
 };
 
 /**
  * Processes the raw CSV data from PapaParse into the TimelineJS JSON format.
  * @param {Array<object>} csvData - Array of row objects from PapaParse.
+ * @param {object} [options]
+ * @param {string} [options.title] - Headline of the title slide.
+ * @param {object|null} [options.eras] - Which rows become eras rather than slides (see eras.js).
+ * @param {Array<string>} [options.datasetIds] - Known dataset ids, for references to other datasets.
  * @returns {{ timelineJson: object|null, error: string|null }}
  */
-export const processCsvData = (csvData) => {
+export const processCsvData = (
+  csvData,
+  { title = "History Events", eras = null, datasetIds = [] } = {}
+) => {
   if (!csvData || csvData.length === 0) {
     return { timelineJson: null, error: "No data found in CSV file" };
   }
@@ -141,7 +191,31 @@ export const processCsvData = (csvData) => {
       return { timelineJson: null, error: "No valid timeline events found. Each event must have a Year." };
     }
 
-    const events = validData.map(parseCsvRowToEvent).filter(event => event !== null);
+    const parsedEvents = validData
+      .map(row => parseCsvRowToEvent(row, { datasetIds }))
+      .filter(event => event !== null);
+
+    // Tell apart events sharing an ID so navigation and saved positions stay unambiguous
+    const { ids } = disambiguateIds(parsedEvents.map(event => event.unique_id));
+    parsedEvents.forEach((event, index) => {
+      event.unique_id = ids[index];
+    });
+
+    // Resolve related events to IDs; dangling references are reported by validateCsvData
+    const resolveReference = createReferenceResolver(parsedEvents);
+    parsedEvents.forEach(event => {
+      if (!event.related) return;
+      event.related = event.related
+        .map(({ datasetId, reference }) => {
+          if (datasetId) return { unique_id: reference, dataset_id: datasetId };
+          const id = resolveReference(reference);
+          return id && id !== event.unique_id ? { unique_id: id } : null;
+        })
+        .filter(link => link !== null);
+      if (event.related.length === 0) delete event.related;
+    });
+
+    const { events, eras: timelineEras } = extractEras(parsedEvents, eras);
 
     if (events.length === 0) {
       return { timelineJson: null, error: "No valid timeline events found after filtering." };
@@ -152,21 +226,22 @@ export const processCsvData = (csvData) => {
       events: events,
       title: {
         text: {
-          headline: "History Events", // Consider making this dynamic if needed
+          headline: title,
         },
       },
     };
+    if (timelineEras.length > 0) timelineJson.eras = timelineEras;
 
     // --- Add title media if available in the first row ---
     const firstRow = csvData[0];
-    if (firstRow && firstRow["Title Media"] && firstRow["Title Media"].trim() !== "") {
+    if (firstRow && firstRow["Title Media"] && firstRow["Title Media"].trim() !== "" && isSafeMediaUrl(firstRow["Title Media"].trim())) {
       timelineJson.title.media = { url: firstRow["Title Media"].trim() };
-      if (firstRow["Title Caption"]) timelineJson.title.media.caption = firstRow["Title Caption"];
-      if (firstRow["Title Credit"]) timelineJson.title.media.credit = firstRow["Title Credit"];
-      if (firstRow["Title Thumbnail"]) timelineJson.title.media.thumbnail = firstRow["Title Thumbnail"];
+      if (firstRow["Title Caption"]) timelineJson.title.media.caption = sanitizeHtml(firstRow["Title Caption"], { inline: true });
+      if (firstRow["Title Credit"]) timelineJson.title.media.credit = sanitizeHtml(firstRow["Title Credit"], { inline: true });
+      if (firstRow["Title Thumbnail"] && isSafeMediaUrl(firstRow["Title Thumbnail"])) timelineJson.title.media.thumbnail = firstRow["Title Thumbnail"];
       if (firstRow["Title Alt"]) timelineJson.title.media.alt = firstRow["Title Alt"];
-      if (firstRow["Title Title"]) timelineJson.title.media.title = firstRow["Title Title"];
-      if (firstRow["Title Link"]) timelineJson.title.media.link = firstRow["Title Link"];
+      if (firstRow["Title Title"]) timelineJson.title.media.title = sanitizeHtml(firstRow["Title Title"], { inline: true });
+      if (firstRow["Title Link"] && isSafeUrl(firstRow["Title Link"])) timelineJson.title.media.link = firstRow["Title Link"];
       if (firstRow["Title Link Target"]) timelineJson.title.media.link_target = firstRow["Title Link Target"];
     }
 
@@ -177,12 +252,13 @@ export const processCsvData = (csvData) => {
        (firstRow["Title Background Color"] && firstRow["Title Background Color"].trim() !== ""))
     ) {
       timelineJson.title.background = {};
-      if (firstRow["Title Background"] && firstRow["Title Background"].trim() !== "") {
+      if (firstRow["Title Background"] && firstRow["Title Background"].trim() !== "" && isSafeMediaUrl(firstRow["Title Background"].trim())) {
         timelineJson.title.background.url = firstRow["Title Background"].trim();
       }
       if (firstRow["Title Background Color"] && firstRow["Title Background Color"].trim() !== "") {
         timelineJson.title.background.color = firstRow["Title Background Color"].trim();
       }
+      if (Object.keys(timelineJson.title.background).length === 0) delete timelineJson.title.background;
     }
 
     return { timelineJson: timelineJson, error: null };
@@ -0,0 +1,59 @@
+import { useState, useEffect, useMemo } from "react";
+
+/**
+ * Custom hook to load the compiled data of several datasets, e.g. to search
+ * across all timelines. Nothing is loaded until `enabled` is first true, and
+ * datasets already loaded aren't loaded again when the list changes.
+ * @param {Array<object>} datasets - Dataset manifest entries.
+ * @param {boolean} enabled - Whether the data is needed.
+ * @returns {{ allData: Array<{ dataset: object, timeline: object }>, isLoading: boolean }}
+ */
+const useAllTimelineData = (datasets, enabled) => {
+  // Compiled timelines by dataset id, null for those that failed to load
+  const [timelines, setTimelines] = useState({});
+
+  useEffect(() => {
+    const missing = enabled
+      ? datasets.filter((dataset) => !(dataset.id in timelines))
+      : [];
+    if (missing.length === 0) return;
+    let isMounted = true; // Flag to prevent state updates on unmounted component
+
+    Promise.all(
+      missing.map((dataset) =>
+        dataset
+          .load()
+          .then((data) => [dataset.id, data.timeline])
+          .catch((loadError) => {
+            // One broken dataset shouldn't hide the results of the others
+            console.error(`Error loading dataset "${dataset.id}":`, loadError);
+            return [dataset.id, null];
+          })
+      )
+    ).then((results) => {
+      if (!isMounted) return;
+      setTimelines((prev) => ({ ...prev, ...Object.fromEntries(results) }));
+    });
+
+    // Cleanup function
+    return () => {
+      isMounted = false;
+    };
+  }, [datasets, enabled, timelines]);
+
+  const allData = useMemo(
+    () =>
+      enabled
+        ? datasets
+            .filter((dataset) => timelines[dataset.id])
+            .map((dataset) => ({ dataset, timeline: timelines[dataset.id] }))
+        : [],
+    [datasets, enabled, timelines]
+  );
+  const isLoading =
+    enabled && datasets.some((dataset) => !(dataset.id in timelines));
+
+  return { allData, isLoading };
+};
+
+export default useAllTimelineData;
@@ -0,0 +1,43 @@
+import { useState } from "react";
+import {
+  isBookmarked,
+  loadAnnotations,
+  saveAnnotations,
+  setBookmark,
+  setNote,
+} from "./annotations";
+
+/**
+ * Custom hook to read and edit the bookmarks and notes of a dataset.
+ * @param {object} dataset - A dataset manifest entry.
+ * @returns {{ annotations: object, toggleBookmark: function(string): void, saveNote: function(string, string): void }}
+ */
+const useAnnotations = (dataset) => {
+  // The dataset the annotations belong to, reloaded when it changes
+  const [state, setState] = useState(() => ({
+    dataset,
+    annotations: loadAnnotations(dataset),
+  }));
+
+  const annotations =
+    state.dataset === dataset ? state.annotations : loadAnnotations(dataset);
+  if (state.dataset !== dataset) {
+    setState({ dataset, annotations });
+  }
+
+  const update = (changed) => {
+    saveAnnotations(dataset, changed);
+    setState({ dataset, annotations: changed });
+  };
+
+  return {
+    annotations,
+    toggleBookmark: (eventId) =>
+      update(
+        setBookmark(annotations, eventId, !isBookmarked(annotations, eventId))
+      ),
+    saveNote: (eventId, note) => update(setNote(annotations, eventId, note)),
+  };
+};
+
+export default useAnnotations;
@@ -0,0 +1,56 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  createLocalDataset,
+  deleteLocalDataset,
+  loadLocalDatasets,
+  saveLocalDataset,
+} from "./localDatasets";
+
+/**
+ * Custom hook to list, add and remove the timelines loaded by the user from
+ * their own CSVs (see localDatasets.js).
+ * @returns {{ localDatasets: Array<object>, isLoaded: boolean, addLocalDataset: function(object): Promise<string>, removeLocalDataset: function(string): Promise<void> }}
+ *   `localDatasets` are dataset entries; `addLocalDataset` stores a timeline
+ *   and resolves to its id.
+ */
+const useLocalDatasets = () => {
+  const [records, setRecords] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates on unmounted component
+    loadLocalDatasets().then((loaded) => {
+      if (isMounted) setRecords(loaded);
+    });
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const localDatasets = useMemo(
+    () => (records || []).map(createLocalDataset),
+    [records]
+  );
+
+  const addLocalDataset = (record) =>
+    saveLocalDataset(record).then(() => {
+      setRecords((prev) => [
+        ...(prev || []).filter((stored) => stored.id !== record.id),
+        record,
+      ]);
+      return record.id;
+    });
+
+  const removeLocalDataset = (id) =>
+    deleteLocalDataset(id).then(() =>
+      setRecords((prev) => (prev || []).filter((stored) => stored.id !== id))
+    );
+
+  return {
+    localDatasets,
+    isLoaded: records !== null,
+    addLocalDataset,
+    removeLocalDataset,
+  };
+};
+
+export default useLocalDatasets;
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  clearRevisionProgress,
+  loadRevisionProgress,
+  markVisited,
+  saveRevisionProgress,
+  setRevised,
+} from "./revisionProgress";
+
+/**
+ * Custom hook to track the revision progress of a dataset. The returned
+ * functions are stable, so they can be used from TimelineJS event handlers.
+ * @param {object} dataset - A dataset manifest entry.
+ * @returns {{ progress: object, recordVisit: function(string): void, toggleRevised: function(string): void, resetProgress: function(): void }}
+ */
+const useRevisionProgress = (dataset) => {
+  // The dataset the progress belongs to, reloaded when it changes
+  const [state, setState] = useState(() => ({
+    dataset,
+    progress: loadRevisionProgress(dataset),
+    changed: false,
+  }));
+  if (state.dataset !== dataset) {
+    setState({
+      dataset,
+      progress: loadRevisionProgress(dataset),
+      changed: false,
+    });
+  }
+
+  // Save changes under the dataset they were made for
+  useEffect(() => {
+    if (state.changed) saveRevisionProgress(state.dataset, state.progress);
+  }, [state]);
+
+  const update = useCallback((change) => {
+    setState((prev) => {
+      const progress = change(prev.progress);
+      return progress === prev.progress
+        ? prev
+        : { ...prev, progress, changed: true };
+    });
+  }, []);
+
+  const recordVisit = useCallback(
+    (eventId) => update((progress) => markVisited(progress, eventId)),
+    [update]
+  );
+
+  const toggleRevised = useCallback(
+    (eventId) =>
+      update((progress) =>
+        setRevised(progress, eventId, !progress.revised[eventId])
+      ),
+    [update]
+  );
+
+  const resetProgress = useCallback(() => {
+    clearRevisionProgress(dataset);
+    setState({
+      dataset,
+      progress: loadRevisionProgress(dataset),
+      changed: false,
+    });
+  }, [dataset]);
+
+  return {
+    progress:
+      state.dataset === dataset
+        ? state.progress
+        : loadRevisionProgress(dataset),
+    recordVisit,
+    toggleRevised,
+    resetProgress,
+  };
+};
+
+export default useRevisionProgress;
@@ -1,81 +1,54 @@
-import { useState, useEffect, useMemo } from "react";
-import Papa from "papaparse";
-// processCsvData and createTestTimeline are no longer needed here directly
-// import { processCsvData, createTestTimeline } from "./timelineUtils";
+import { useState, useEffect } from "react";
+
+// Shared so consumers depending on these arrays don't re-run while loading
+const NO_ITEMS = [];
 
 /**
- * Custom hook to fetch and parse timeline data from a local CSV file.
- * It returns the raw parsed data and unique groups found.
- * @param {string} csvUrl - The URL or path to the local CSV file.
- * @returns {{ rawCsvData: Array<object> | null, uniqueGroups: Array<string>, isLoading: boolean, error: string | null }}
+ * Custom hook to load a dataset's compiled timeline data (see compileCsv).
+ * It returns the TimelineJS JSON of every event, the unique groups found and
+ * the validation diagnostics of the dataset. While a newly requested dataset
+ * is loading, nothing of the previous one is returned.
+ * @param {{ load: function(): Promise<object> }} dataset - A dataset manifest entry.
+ * @returns {{ timeline: object | null, uniqueGroups: Array<string>, diagnostics: Array<object>, isLoading: boolean, error: string | null }}
  */
-const useTimelineData = (csvUrl) => {
-  const [rawCsvData, setRawCsvData] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+const useTimelineData = (dataset) => {
+  // The dataset the result belongs to, with its data or loading error
+  const [result, setResult] = useState(null);
 
   useEffect(() => {
     let isMounted = true; // Flag to prevent state updates on unmounted component
-    setRawCsvData(null); // Reset data on new fetch
-    setIsLoading(true);
-    setError(null); // Reset error on new fetch
 
-    fetch(csvUrl)
-      .then((response) => {
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return response.text();
-      })
-      .then((csvText) => {
+    dataset
+      .load()
+      .then((data) => {
         if (!isMounted) return; // Don't proceed if component unmounted
-
-        Papa.parse(csvText, {
-          header: true,
-          delimiter: "|", // Specify pipe delimiter
-          skipEmptyLines: true,
-          complete: (results) => {
-            if (!isMounted) return;
-            // Store the raw parsed data
-            setRawCsvData(results.data || []); // Ensure it's an array even if empty/error
-            setIsLoading(false);
-          },
-          error: (parseError) => {
-            if (!isMounted) return;
-            console.error("CSV parsing error:", parseError);
-            setError("Error parsing CSV: " + parseError.message);
-            setRawCsvData([]); // Set empty array on parse error
-            setIsLoading(false);
-          },
-        });
+        setResult({ dataset, data, error: data.error });
       })
-      .catch((fetchError) => {
+      .catch((loadError) => {
         if (!isMounted) return;
-        console.error("CSV loading error:", fetchError);
-        setError("Error loading CSV file: " + fetchError.message);
-        setRawCsvData([]); // Set empty array on fetch error
-        setIsLoading(false);
+        console.error("Timeline data loading error:", loadError);
+        setResult({
+          dataset,
+          data: null,
+          error: "Error loading timeline data: " + loadError.message,
+        });
       });
 
     // Cleanup function
     return () => {
       isMounted = false;
     };
-  }, [csvUrl]); // Re-run effect if csvUrl changes
+  }, [dataset]); // Re-run effect if the dataset changes
 
-  // Calculate unique groups using useMemo for efficiency
-  const uniqueGroups = useMemo(() => {
-    if (!rawCsvData) return [];
-    const groups = new Set();
-    rawCsvData.forEach(row => {
-      if (row.Group && row.Group.trim() !== "") {
-        groups.add(row.Group.trim());
-      }
-    });
-    return Array.from(groups).sort(); // Return sorted array of unique groups
-  }, [rawCsvData]);
+  const data = result?.dataset === dataset ? result.data : null;
 
-  return { rawCsvData, uniqueGroups, isLoading, error };
+  return {
+    timeline: data?.timeline || null,
+    uniqueGroups: data?.groups || NO_ITEMS,
+    diagnostics: data?.diagnostics || NO_ITEMS,
+    isLoading: result?.dataset !== dataset,
+    error: result?.dataset === dataset ? result.error : null,
+  };
 };
 
 export default useTimelineData;
@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  TIMELINEJS_SCRIPT_URL,
+  TIMELINEJS_STYLESHEET_URL,
+} from "./timelineJsAssets";
+
+// Time allowed for the script to load before giving up
+const LOAD_TIMEOUT = 15000;
+
+// Shared by every caller so the library is only requested once at a time
+let loading = null;
+
+/**
+ * Adds the TimelineJS script and stylesheet to the page.
+ * @returns {Promise<void>} Resolves once `window.TL` is available; rejects if
+ *   the script fails or takes longer than LOAD_TIMEOUT. A later call retries.
+ */
+export const loadTimelineJs = () => {
+  if (window.TL) return Promise.resolve();
+  if (loading) return loading;
+
+  if (!document.querySelector(`link[href="${TIMELINEJS_STYLESHEET_URL}"]`)) {
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = TIMELINEJS_STYLESHEET_URL;
+    document.head.appendChild(link);
+  }
+
+  const script = document.createElement("script");
+  script.src = TIMELINEJS_SCRIPT_URL;
+  script.async = true;
+
+  loading = new Promise((resolve, reject) => {
+    const timeout = setTimeout(
+      () => reject(new Error("TimelineJS took too long to load")),
+      LOAD_TIMEOUT
+    );
+    script.addEventListener("load", () => {
+      clearTimeout(timeout);
+      if (window.TL) {
+        resolve();
+      } else {
+        reject(new Error("TimelineJS loaded but is unavailable"));
+      }
+    });
+    script.addEventListener("error", () => {
+      clearTimeout(timeout);
+      reject(new Error("TimelineJS could not be downloaded"));
+    });
+  }).catch((loadError) => {
+    // Forget the failed attempt so it can be retried
+    script.remove();
+    loading = null;
+    throw loadError;
+  });
+
+  document.body.appendChild(script);
+  return loading;
+};
+
+/**
+ * Custom hook to load TimelineJS from its CDN.
+ * @returns {{ status: "loading" | "ready" | "failed", error: string | null, retry: function(): void }}
+ */
+const useTimelineJs = () => {
+  const [state, setState] = useState(() => ({
+    status: window.TL ? "ready" : "loading",
+    error: null,
+  }));
+  // Incremented to retry after a failure
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let isMounted = true; // Flag to prevent state updates on unmounted component
+
+    loadTimelineJs()
+      .then(() => {
+        if (isMounted) setState({ status: "ready", error: null });
+      })
+      .catch((loadError) => {
+        if (!isMounted) return;
+        console.error("TimelineJS loading error:", loadError);
+        setState({ status: "failed", error: loadError.message });
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [attempt]);
+
+  const retry = useCallback(() => {
+    setState({ status: "loading", error: null });
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  return { ...state, retry };
+};
+
+export default useTimelineJs;
@@ -0,0 +1,149 @@
+import { isInsideIframe, isLocalhost } from "./embedding";
+
+/**
+ * Encoding of the view state (timeline, filters and current event) in the
+ * query string, so a view can be shared as a link, e.g.
+ * `?timeline=modern&group=Congress+Session&group=British+Acts&event=event-1885-Bombay-Session`.
+ *
+ * - timeline: dataset id
+ * - group: an active group, repeated; absent means every group is active
+ * - from / to: year range, either end may be left out
+ * - event: unique_id of the current event
+ * - view: "list" for the list view; absent means the slides
+ */
+const PARAMS = {
+  timeline: "timeline",
+  group: "group",
+  from: "from",
+  to: "to",
+  event: "event",
+  view: "view",
+};
+
+// How events are shown: one slide at a time, or all of them as a table
+export const VIEW_MODES = {
+  SLIDES: "slides",
+  LIST: "list",
+};
+
+const parseYear = (value) =>
+  value !== null && /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : null;
+
+/**
+ * Reads the view state from a query string. Missing parts are null, except
+ * the view mode which defaults to the slides.
+ * @param {string} search - A query string, e.g. `window.location.search`.
+ * @returns {{ datasetId: string|null, groups: Array<string>|null, yearRange: { from: number|null, to: number|null }|null, eventId: string|null, viewMode: string }}
+ */
+export const readViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const from = parseYear(params.get(PARAMS.from));
+  const to = parseYear(params.get(PARAMS.to));
+  return {
+    datasetId: params.get(PARAMS.timeline),
+    groups: params.has(PARAMS.group) ? params.getAll(PARAMS.group) : null,
+    yearRange: from !== null || to !== null ? { from, to } : null,
+    eventId: params.get(PARAMS.event),
+    viewMode:
+      params.get(PARAMS.view) === VIEW_MODES.LIST
+        ? VIEW_MODES.LIST
+        : VIEW_MODES.SLIDES,
+  };
+};
+
+/**
+ * Writes a view state into a query string, keeping unrelated parameters.
+ * @param {string} search - The current query string.
+ * @param {object} viewState - Same shape as returned by readViewState.
+ * @returns {string} The new query string, with its leading "?" (or "" if empty).
+ */
+export const writeViewState = (
+  search,
+  { datasetId, groups, yearRange, eventId, viewMode }
+) => {
+  const params = new URLSearchParams(search);
+  Object.values(PARAMS).forEach((name) => params.delete(name));
+  if (datasetId) params.set(PARAMS.timeline, datasetId);
+  if (groups) groups.forEach((group) => params.append(PARAMS.group, group));
+  if (yearRange?.from != null) params.set(PARAMS.from, yearRange.from);
+  if (yearRange?.to != null) params.set(PARAMS.to, yearRange.to);
+  if (eventId) params.set(PARAMS.event, eventId);
+  if (viewMode === VIEW_MODES.LIST) params.set(PARAMS.view, viewMode);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
+
+// Parameter of an embedded app's URL giving the page that embeds it
+const SHARE_URL_PARAM = "share";
+
+// The address passed by the embedding page, if any (see getShareUrl)
+const readSharePageUrl = () => {
+  const shareUrl = new URLSearchParams(window.location.search).get(
+    SHARE_URL_PARAM
+  );
+  if (!isInsideIframe() || !/^https?:\/\//i.test(shareUrl || "")) return null;
+  try {
+    return new URL(shareUrl);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Tells whether the current view can be shared. The app only opens inside
+ * an iframe, installed or on localhost (see main.jsx), so a link to the app
+ * itself only works on localhost; elsewhere the embedding page must pass its
+ * address (see getShareUrl).
+ * @returns {boolean}
+ */
+export const canShareView = () =>
+  readSharePageUrl() !== null || isLocalhost();
+
+/**
+ * Builds the link to share for the current view. An embedded app can't tell
+ * which page embeds it (a cross-origin referrer has no path or query), so the
+ * page passes its own address in the `share` parameter of the iframe's URL,
+ * e.g. `?share=https%3A%2F%2Fexample.org%2Ftimeline`, and forwards its query
+ * string to the iframe so shared links open the same view:
+ *
+ *     iframe.src = `${appUrl}${location.search || "?"}&share=` +
+ *       encodeURIComponent(location.origin + location.pathname);
+ *
+ * Without it the link points at the app itself, see canShareView.
+ * @returns {string}
+ */
+export const getShareUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  params.delete(SHARE_URL_PARAM);
+  const pageUrl = readSharePageUrl();
+  const url = pageUrl || new URL(window.location.href);
+  url.search = params.toString();
+  return url.toString();
+};
+
+/**
+ * Copies text to the clipboard, falling back to a temporary text area where
+ * the Clipboard API is unavailable (e.g. in iframes without clipboard-write).
+ * @param {string} text - Text to copy.
+ * @returns {Promise<boolean>} Whether the text was copied.
+ */
+export const copyToClipboard = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    textArea.style.position = "fixed";
+    textArea.style.opacity = "0";
+    document.body.appendChild(textArea);
+    textArea.select();
+    try {
+      return document.execCommand("copy");
+    } catch {
+      return false;
+    } finally {
+      document.body.removeChild(textArea);
+    }
+  }
+};
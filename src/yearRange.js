@@ -0,0 +1,94 @@
+/**
+ * Year range filtering. A range is { from, to } in whole years, negative
+ * years being BCE; either end may be null to leave it open. An event is in
+ * the range when its span (start to end year) intersects it.
+ */
+
+/**
+ * Tells whether an event's span intersects a year range.
+ * @param {object} event - TimelineJS event.
+ * @param {{ from: number|null, to: number|null }|null} yearRange - No range matches every event.
+ * @returns {boolean}
+ */
+export const isInYearRange = (event, yearRange) =>
+  (yearRange?.to == null || event.start_date.year <= yearRange.to) &&
+  (yearRange?.from == null ||
+    (event.end_date || event.start_date).year >= yearRange.from);
+
+/**
+ * First and last years covered by a set of events.
+ * @param {Array<object>} events - TimelineJS events.
+ * @returns {{ min: number, max: number }|null} Null without events.
+ */
+export const getYearBounds = (events) => {
+  if (events.length === 0) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  events.forEach((event) => {
+    min = Math.min(min, event.start_date.year);
+    max = Math.max(max, (event.end_date || event.start_date).year);
+  });
+  return { min, max };
+};
+
+/**
+ * Counts the events in each of `binCount` equal slices of [min, max]. An
+ * event spanning several slices counts in each of them.
+ * @param {Array<object>} events - TimelineJS events.
+ * @param {{ min: number, max: number }} bounds
+ * @param {number} binCount
+ * @returns {Array<{ from: number, to: number, count: number }>} Bins covering whole years.
+ */
+export const buildYearHistogram = (events, { min, max }, binCount) => {
+  const span = max - min + 1;
+  const count = Math.min(binCount, span);
+  const bins = Array.from({ length: count }, (_, index) => ({
+    from: min + Math.floor((index * span) / count),
+    to: min + Math.floor(((index + 1) * span) / count) - 1,
+    count: 0,
+  }));
+  const binOf = (year) =>
+    Math.min(count - 1, Math.floor(((year - min) * count) / span));
+
+  events.forEach((event) => {
+    const first = binOf(Math.max(min, event.start_date.year));
+    const last = binOf(
+      Math.min(max, (event.end_date || event.start_date).year)
+    );
+    for (let index = first; index <= last; index++) bins[index].count++;
+  });
+  return bins;
+};
+
+/**
+ * Normalizes a year range: ends at the bounds are left open, and a range open
+ * at both ends is no range at all.
+ * @param {number} from
+ * @param {number} to
+ * @param {{ min: number, max: number }} bounds
+ * @returns {{ from: number|null, to: number|null }|null}
+ */
+export const toYearRange = (from, to, { min, max }) => {
+  const range = {
+    from: from <= min ? null : from,
+    to: to >= max ? null : to,
+  };
+  return range.from === null && range.to === null ? null : range;
+};
+
+/**
+ * Widens a year range just enough to include an event, e.g. to show an event
+ * navigated to while the range hides it.
+ * @param {{ from: number|null, to: number|null }|null} yearRange
+ * @param {object} event - TimelineJS event.
+ * @returns {{ from: number|null, to: number|null }|null}
+ */
+export const widenYearRange = (yearRange, event) => {
+  if (!yearRange || isInYearRange(event, yearRange)) return yearRange;
+  const start = event.start_date.year;
+  const end = (event.end_date || event.start_date).year;
+  return {
+    from: yearRange.from === null ? null : Math.min(yearRange.from, start),
+    to: yearRange.to === null ? null : Math.max(yearRange.to, end),
+  };
+};
@@ -1,8 +1,20 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import timelineDatasets from './scripts/vite-plugin-timeline-datasets.js'
+import serviceWorker from './scripts/vite-plugin-service-worker.js'
+import {
+  TIMELINEJS_SCRIPT_URL,
+  TIMELINEJS_STYLESHEET_URL,
+} from './src/timelineJsAssets.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    timelineDatasets(),
+    serviceWorker({
+      crossOriginUrls: [TIMELINEJS_SCRIPT_URL, TIMELINEJS_STYLESHEET_URL],
+    }),
+  ],
   assetsInclude: ['**/*.csv'],
 })